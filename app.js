@@ -3,8 +3,8 @@
  * A minimal, distraction-free productivity tool
  * 
  * Core Functions:
- * - saveData(): Persist all app data to localStorage
- * - loadData(): Load saved data from localStorage
+ * - saveData(): Persist changed app data to IndexedDB (localStorage as a fallback)
+ * - loadData(): Load saved data and migrate it to the current schema
  * - updateUI(): Refresh all UI components
  */
 
@@ -12,670 +12,6790 @@
 // DATA STRUCTURE & STATE
 // ============================================================
 
+const STORAGE_KEY = 'focusflow_data';
+const RECOVERY_KEY = 'focusflow_data_recovery';
+
+// The Tasks page's search, filters and sort are remembered per browser,
+// apart from the synced data, so each device and tab keeps its own view
+const VIEW_KEY = 'focusflow_task_view';
+const DEFAULT_TASK_VIEW = {
+    search: '',
+    status: 'all',
+    priority: 'all',
+    due: 'all',
+    subject: 'all',
+    sort: 'due'
+};
+
+/**
+ * Version of the saved data's shape.
+ * Bump it and add a step to MIGRATIONS whenever stored fields change.
+ */
+const SCHEMA_VERSION = 4;
+
 /**
  * Default data structure for new users
  */
 const DEFAULT_DATA = {
+    schemaVersion: SCHEMA_VERSION,
     tasks: [],
+    trash: [],
+    sessions: [],
     timetable: {},
+    timetableTemplates: [],
+    subjects: [],
     settings: {
         darkMode: false,
-        userName: 'Student'
+        userName: 'Student',
+        focusMinutes: 25,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        autoStartNextPhase: false,
+        autoCompleteWithSubtasks: true,
+        progressCountsSubtasks: false,
+        progressCountsCarriedOver: true,
+        dashboardShowsInbox: true,
+        timetableStartHour: 6,
+        timetableEndHour: 23,
+        slotMinutes: 60,
+        use24Hour: false,
+        weekStartsOn: 1,
+        locale: '',
+        notificationsEnabled: false,
+        notifyTimer: true,
+        notifyReminders: true,
+        playChime: true
     },
     timer: {
+        phase: 'focus',
         seconds: 25 * 60,
-        isRunning: false
+        isRunning: false,
+        endTime: null,
+        session: null,
+        taskId: null,
+        completedFocusSessions: 0
     }
 };
 
 // Application state
 let appData = {};
-let currentFilter = 'all';
+let database = null;
+let taskView = { ...DEFAULT_TASK_VIEW };
+let timetableDate = null;
+let weekViewStart = null;
+let monthViewDate = null;
+let monthSelectedDate = null;
+let lastBlockCheck = null;
+let navDragTimeout = null;
 let timerInterval = null;
+let editingTaskId = null;
+const toastTimeouts = new Map();
+const toastQueue = [];
+const expandedTaskIds = new Set();
+
+// Undo/redo snapshots of task data (kept in memory for this visit only)
+const undoStack = [];
+const redoStack = [];
 
 // ============================================================
 // CORE DATA FUNCTIONS
 // ============================================================
 
 /**
- * Save all application data to localStorage
- * Called after any data modification
+ * Save application data
+ * Called after any data modification. Calls made in the same turn are
+ * combined into one write, and only records that changed are written.
  */
 function saveData() {
+    if (saveScheduled) return;
+
+    saveScheduled = true;
+    Promise.resolve().then(flushSave);
+}
+
+/**
+ * Load application data from IndexedDB
+ * On the first run, data from the old localStorage key is moved over once.
+ * Falls back to localStorage when IndexedDB isn't available.
+ * Initializes with defaults if no saved data exists.
+ */
+async function loadData() {
+    try {
+        database = await openDatabase();
+    } catch (error) {
+        console.error('IndexedDB unavailable, using localStorage:', error);
+        database = null;
+    }
+
+    if (!database) {
+        const saved = readLocalStorage();
+        appData = saved ? parseSavedData(saved) : createDefaultData();
+        return;
+    }
+
+    let records;
     try {
-        localStorage.setItem('focusflow_data', JSON.stringify(appData));
+        records = await readAllRecords();
     } catch (error) {
-        console.error('Failed to save data:', error);
+        // Never write over data we couldn't read - stay on localStorage for this visit
+        console.error('Failed to read IndexedDB:', error);
+        database = null;
+        showStorageWarning('Your saved data could not be opened. Changes made now are kept in a temporary store.');
+        const saved = readLocalStorage();
+        appData = saved ? parseSavedData(saved) : createDefaultData();
+        return;
+    }
+
+    if (records.meta.has('schemaVersion')) {
+        rememberSavedRecords(records);
+        appData = parseSavedData(JSON.stringify(joinRecords(records)));
+        return;
+    }
+
+    // First run with IndexedDB: move the localStorage data over once
+    const legacy = readLocalStorage();
+    appData = legacy ? parseSavedData(legacy) : createDefaultData();
+    await flushSave();
+    if (legacy && !storageFailed) {
+        localStorage.removeItem(STORAGE_KEY);
     }
 }
 
 /**
- * Load application data from localStorage
- * Initializes with defaults if no saved data exists
+ * Read the saved data blob from localStorage, if the browser allows it
  */
-function loadData() {
+function readLocalStorage() {
     try {
-        const saved = localStorage.getItem('focusflow_data');
-        if (saved) {
-            appData = JSON.parse(saved);
-            // Ensure all required properties exist (for backwards compatibility)
-            appData.tasks = appData.tasks || [];
-            appData.timetable = appData.timetable || {};
-            appData.settings = appData.settings || DEFAULT_DATA.settings;
-            appData.timer = appData.timer || DEFAULT_DATA.timer;
-        } else {
-            appData = JSON.parse(JSON.stringify(DEFAULT_DATA));
+        return localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Failed to read localStorage:', error);
+        return null;
+    }
+}
+
+/**
+ * Parse and migrate saved data.
+ * Data that can't be read is kept under RECOVERY_KEY instead of being thrown away.
+ * @param {string} saved - Saved data as JSON
+ */
+function parseSavedData(saved) {
+    try {
+        const data = JSON.parse(saved);
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            // Saved by a newer FocusFlow - keep an untouched copy before this version writes to it
+            keepRecoveryCopy(saved, `Saved with a newer data version (${data.schemaVersion})`, true);
         }
+        return migrateData(data);
     } catch (error) {
         console.error('Failed to load data:', error);
-        appData = JSON.parse(JSON.stringify(DEFAULT_DATA));
+        keepRecoveryCopy(saved, error.message);
+        return createDefaultData();
     }
 }
 
 /**
- * Update all UI components to reflect current data state
- * Called after data changes or on initial load
+ * Get a fresh copy of the default data
  */
-function updateUI() {
-    updateGreeting();
-    updateTodaysTasks();
-    updateDailyProgress();
-    updateFullTaskList();
-    updateTimetable();
-    updateWeeklyView();
-    updateTimerDisplay();
-    applyTheme();
-    updateSettingsUI();
+function createDefaultData() {
+    return JSON.parse(JSON.stringify(DEFAULT_DATA));
 }
 
-// ============================================================
-// UTILITY FUNCTIONS
-// ============================================================
+/**
+ * Ordered migration steps. MIGRATIONS[n] upgrades data from version n to n + 1,
+ * so stored data of any age is brought up to date one version at a time.
+ */
+const MIGRATIONS = [
+    // 0 → 1: Data saved before versioning. Make sure every collection and
+    // task field added since the first release is present.
+    (data) => {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        data.tasks = Array.isArray(data.tasks) ? data.tasks : [];
+        data.trash = Array.isArray(data.trash) ? data.trash : [];
+        data.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+        data.timetable = isObject(data.timetable) ? data.timetable : {};
+        data.settings = isObject(data.settings) ? data.settings : {};
+        data.timer = isObject(data.timer) ? data.timer : {};
+
+        data.tasks.forEach(task => {
+            task.priority = task.priority || 'medium';
+            task.dueDate = task.dueDate || null;
+            task.completed = Boolean(task.completed);
+            task.estimatedPomodoros = task.estimatedPomodoros || null;
+            task.completedPomodoros = task.completedPomodoros || 0;
+        });
+
+        // Timers saved before end timestamps existed only have the seconds left
+        if (data.timer.isRunning && !data.timer.endTime) {
+            data.timer.endTime = Date.now() + (data.timer.seconds ?? 25 * 60) * 1000;
+        }
+    },
+
+    // 1 → 2: The timetable was one day shared by every date, keyed by hour.
+    // It becomes a "Default" template for every weekday, and dates get their own plans.
+    (data) => {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const entries = {};
+        Object.entries(isObject(data.timetable) ? data.timetable : {}).forEach(([hour, text]) => {
+            if (typeof text === 'string' && text.trim()) entries[hour] = text;
+        });
+
+        data.timetableTemplates = Object.keys(entries).length > 0
+            ? [{ id: 'default', name: 'Default', days: [0, 1, 2, 3, 4, 5, 6], entries: entries }]
+            : [];
+        data.timetable = {};
+    },
+
+    // 2 → 3: Timetable plans and templates become lists of blocks with start
+    // and end times in minutes, so a block can cover any part of the day.
+    // Back-to-back hours with the same text become one block.
+    (data) => {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const toBlocks = (entries) => {
+            const blocks = [];
+            Object.keys(isObject(entries) ? entries : {})
+                .map(hour => parseInt(hour, 10))
+                .sort((a, b) => a - b)
+                .forEach(hour => {
+                    const text = entries[hour];
+                    if (typeof text !== 'string' || !text.trim()) return;
+
+                    const last = blocks[blocks.length - 1];
+                    if (last && last.end === hour * 60 && last.text === text) {
+                        last.end += 60;
+                    } else {
+                        blocks.push({ id: generateId(), start: hour * 60, end: (hour + 1) * 60, text: text });
+                    }
+                });
+            return blocks;
+        };
+
+        data.timetable = isObject(data.timetable) ? data.timetable : {};
+        data.timetableTemplates = Array.isArray(data.timetableTemplates) ? data.timetableTemplates.filter(isObject) : [];
+
+        Object.keys(data.timetable).forEach(dateString => {
+            data.timetable[dateString] = toBlocks(data.timetable[dateString]);
+        });
+        data.timetableTemplates.forEach(template => {
+            template.blocks = toBlocks(template.entries);
+            delete template.entries;
+        });
+    },
+
+    // 3 → 4: Subjects (courses) that tasks can be filed under
+    (data) => {
+        data.subjects = Array.isArray(data.subjects) ? data.subjects : [];
+    }
+];
 
 /**
- * Generate a unique ID for new items
+ * Upgrade data to SCHEMA_VERSION by running each migration it hasn't had yet.
+ * Used for saved data and for imported backups.
+ * @param {Object} data - Parsed app data
  */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function migrateData(data) {
+    let version = data.schemaVersion || 0;
+
+    while (version < SCHEMA_VERSION) {
+        MIGRATIONS[version](data);
+        version++;
+        data.schemaVersion = version;
+    }
+
+    // Collections missing from partial data (such as a backup with only tasks) start out empty
+    Object.keys(DEFAULT_DATA).forEach(key => {
+        if (data[key] === undefined) data[key] = JSON.parse(JSON.stringify(DEFAULT_DATA[key]));
+    });
+
+    // New settings and timer fields get their default without needing a migration
+    data.settings = { ...DEFAULT_DATA.settings, ...data.settings };
+    data.timer = { ...DEFAULT_DATA.timer, ...data.timer };
+    return data;
 }
 
 /**
- * Get today's date as YYYY-MM-DD string
+ * Keep a copy of saved data that couldn't be loaded, and tell the user.
+ * An existing copy is never overwritten, so the oldest unreadable data survives.
+ * @param {string} raw - The saved data exactly as stored
+ * @param {string} reason - Why it couldn't be loaded
+ * @param {boolean} fromNewerVersion - Whether it loaded but was saved by a newer FocusFlow
  */
-function getTodayDateString() {
-    return new Date().toISOString().split('T')[0];
+function keepRecoveryCopy(raw, reason, fromNewerVersion = false) {
+    try {
+        if (!localStorage.getItem(RECOVERY_KEY)) {
+            localStorage.setItem(RECOVERY_KEY, JSON.stringify({
+                keptAt: new Date().toISOString(),
+                reason: reason,
+                data: raw
+            }));
+        }
+    } catch (error) {
+        console.error('Failed to keep recovery copy:', error);
+    }
+
+    const message = fromNewerVersion
+        ? 'Your data was saved by a newer version of FocusFlow, so a copy was set aside in case this version drops anything. Download it to keep it safe.'
+        : 'Your saved data could not be read, so a copy was set aside. Download it to keep it safe.';
+
+    showToast(
+        message,
+        {
+            label: 'Download',
+            handler: () => downloadBlob(new Blob([raw], { type: 'application/json' }), `focusflow-recovery-${getTodayDateString()}.json`)
+        },
+        30000
+    );
 }
 
 /**
- * Format date string for display (e.g., "Jan 31")
+ * What each page shows, keyed by the page's element id, so one page can be
+ * brought up to date on its own
  */
-function formatDate(dateString) {
-    if (!dateString) return '';
-    const date = new Date(dateString + 'T00:00:00');
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-}
+const PAGE_UPDATES = {
+    'page-dashboard': [updateGreeting, updateTodaysTasks, updateOverdueTasks, updateInboxTasks, updateDailyProgress, updateFocusTaskSelect],
+    'page-timetable': [updateTimetable],
+    'page-tasks': [updateTaskViewControls, updateFullTaskList],
+    'page-weekly': [updateWeeklyView],
+    'page-month': [updateMonthView],
+    'page-stats': [updateStats],
+    'page-settings': [updateSettingsUI]
+};
+
+// Pages whose data another tab changed since they were last rendered
+const stalePages = new Set();
 
 /**
- * Get full date string for display (e.g., "Friday, January 31, 2026")
+ * Update all UI components to reflect current data state
+ * Called after data changes or on initial load
  */
-function getFullDateString() {
-    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date().toLocaleDateString('en-US', options);
+function updateUI() {
+    stalePages.clear();
+    updateSubjectSelects();
+    Object.values(PAGE_UPDATES).forEach(updates => updates.forEach(update => update()));
+    updateTimerDisplay();
+    applyTheme();
 }
 
 /**
- * Get appropriate greeting based on time of day
+ * Re-render after another tab changed the data. Only the page on screen is
+ * rendered now; the others are rendered when they're next opened.
  */
-function getGreetingTime() {
-    const hour = new Date().getHours();
-    if (hour < 12) return 'Good Morning';
-    if (hour < 17) return 'Good Afternoon';
-    return 'Good Evening';
+function updateUIAfterSync() {
+    Object.keys(PAGE_UPDATES).forEach(page => stalePages.add(page));
+    updateSubjectSelects();
+    updateTimerDisplay();
+    applyTheme();
+    refreshCurrentPage();
 }
 
 /**
- * Escape HTML to prevent XSS attacks
+ * Render the page on screen if another tab changed its data. While a field
+ * on the page is being edited, it waits until focus leaves the field.
  */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function refreshCurrentPage() {
+    const page = document.querySelector('.page.active');
+    if (!page || !stalePages.has(page.id)) return;
+    if (isEditableTarget(document.activeElement) && page.contains(document.activeElement)) return;
+
+    stalePages.delete(page.id);
+    PAGE_UPDATES[page.id].forEach(update => update());
 }
 
 // ============================================================
-// DASHBOARD FUNCTIONS
+// STORAGE FUNCTIONS
 // ============================================================
 
-/**
- * Update the greeting section with user name and date
- */
-function updateGreeting() {
-    const greetingEl = document.getElementById('greeting');
-    const dateEl = document.getElementById('currentDate');
-    const userName = appData.settings?.userName || 'Student';
-
-    greetingEl.textContent = `${getGreetingTime()}, ${userName}`;
-    dateEl.textContent = getFullDateString();
-}
+const DB_NAME = 'focusflow';
+const DB_VERSION = 1;
 
 /**
- * Get all tasks due today
+ * IndexedDB object stores. Tasks, timetable entries, settings and session
+ * history get a store each, one record per item; everything else in appData
+ * (schema version, timer, Trash, ...) is a record in `meta`.
  */
-function getTodaysTasks() {
-    const today = getTodayDateString();
-    return appData.tasks.filter(task => task.dueDate === today);
-}
+const DB_STORES = ['tasks', 'timetable', 'settings', 'history', 'meta'];
+
+// JSON of every record as last written, per store, so saves only write changes
+let savedRecords = {};
+let saveScheduled = false;
+let saveInFlight = null;
+let storageFailed = false;
 
 /**
- * Render today's tasks in the dashboard card
+ * Open (and create or upgrade) the FocusFlow database
+ * @returns {Promise<IDBDatabase>}
  */
-function updateTodaysTasks() {
-    const container = document.getElementById('todayTasksList');
-    const todayTasks = getTodaysTasks();
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!('indexedDB' in window) || !window.indexedDB) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
 
-    if (todayTasks.length === 0) {
-        container.innerHTML = '<div class="empty-state">No tasks for today. Add one below!</div>';
-        return;
-    }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-    // Sort: active tasks first, completed at bottom
-    const sortedTasks = [...todayTasks].sort((a, b) => {
-        if (a.completed === b.completed) return 0;
-        return a.completed ? 1 : -1;
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            DB_STORES.forEach(name => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
     });
-
-    container.innerHTML = sortedTasks.map(task => createTaskItemHTML(task, true)).join('');
 }
 
 /**
- * Update the daily progress bar
+ * Read every record from every store
+ * @returns {Promise<Object>} Map of key to value for each store name
  */
-function updateDailyProgress() {
-    const todayTasks = getTodaysTasks();
-    const total = todayTasks.length;
-    const completed = todayTasks.filter(t => t.completed).length;
-    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+function readAllRecords() {
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(DB_STORES, 'readonly');
+        const records = {};
 
-    const fillEl = document.getElementById('progressFill');
-    const textEl = document.getElementById('progressText');
+        DB_STORES.forEach(name => {
+            const store = transaction.objectStore(name);
+            const keysRequest = store.getAllKeys();
+            const valuesRequest = store.getAll();
 
-    fillEl.style.width = `${percentage}%`;
-    textEl.textContent = total > 0
-        ? `${percentage}% completed (${completed}/${total} tasks)`
-        : 'No tasks for today';
-}
+            valuesRequest.onsuccess = () => {
+                const map = new Map();
+                keysRequest.result.forEach((key, index) => map.set(key, valuesRequest.result[index]));
+                records[name] = map;
+            };
+        });
 
-// ============================================================
-// TASK MANAGEMENT FUNCTIONS
-// ============================================================
+        transaction.oncomplete = () => resolve(records);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
 
 /**
- * Create HTML for a task item
- * @param {Object} task - The task object
- * @param {boolean} isDashboard - Whether this is for dashboard (simplified view)
+ * Split app data into per-store [key, value] records
+ * @param {Object} data - App data
  */
-function createTaskItemHTML(task, isDashboard = false) {
-    const priorityClass = task.priority || 'medium';
-    const priorityLabel = priorityClass.charAt(0).toUpperCase() + priorityClass.slice(1);
-    const completedClass = task.completed ? 'completed' : '';
-    const dueDateDisplay = task.dueDate ? formatDate(task.dueDate) : '';
+function splitIntoRecords(data) {
+    const { tasks, timetable, settings, sessions, ...rest } = data;
 
-    return `
-        <div class="task-item ${completedClass}" data-id="${task.id}">
-            <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} 
-                   onchange="toggleTask('${task.id}')">
-            <span class="task-title">${escapeHtml(task.title)}</span>
-            ${!isDashboard ? `<span class="task-priority ${priorityClass}">${priorityLabel}</span>` : ''}
-            ${dueDateDisplay && !isDashboard ? `<span class="task-due">${dueDateDisplay}</span>` : ''}
-            ${!isDashboard ? `<button class="task-delete" onclick="deleteTask('${task.id}')" aria-label="Delete task">&times;</button>` : ''}
-        </div>
-    `;
+    return {
+        tasks: tasks.map(task => [task.id, task]),
+        timetable: Object.entries(timetable),
+        settings: Object.entries(settings),
+        history: sessions.map(session => [session.id, session]),
+        // Stores return records sorted by key, so remember the task list order
+        meta: [...Object.entries(rest), ['taskOrder', tasks.map(task => task.id)]]
+    };
 }
 
 /**
- * Add a new task
- * @param {string} title - Task title
- * @param {string} priority - Priority level (high/medium/low)
- * @param {string|null} dueDate - Due date in YYYY-MM-DD format
+ * Put app data back together from the records read by readAllRecords()
+ * @param {Object} records - Map of key to value for each store name
  */
-function addTask(title, priority = 'medium', dueDate = null) {
-    if (!title.trim()) return;
+function joinRecords(records) {
+    const { taskOrder = [], ...rest } = Object.fromEntries(records.meta);
+    const ordered = new Set(taskOrder.filter(id => records.tasks.has(id)));
+    const tasks = [...ordered].map(id => records.tasks.get(id));
 
-    const task = {
-        id: generateId(),
-        title: title.trim(),
-        priority: priority,
-        dueDate: dueDate || null,
-        completed: false,
-        createdAt: new Date().toISOString()
-    };
+    // Tasks missing from the order list go at the end
+    records.tasks.forEach((task, id) => {
+        if (!ordered.has(id)) tasks.push(task);
+    });
 
-    appData.tasks.push(task);
-    saveData();
-    updateUI();
+    return {
+        ...rest,
+        tasks: tasks,
+        timetable: Object.fromEntries(records.timetable),
+        settings: Object.fromEntries(records.settings),
+        sessions: [...records.history.values()].sort((a, b) => a.endedAt.localeCompare(b.endedAt))
+    };
 }
 
 /**
- * Toggle task completion status
- * @param {string} taskId - The task ID to toggle
+ * Remember what's stored so the next save only writes differences
+ * @param {Object} records - Map of key to value for each store name
  */
-function toggleTask(taskId) {
-    const task = appData.tasks.find(t => t.id === taskId);
-    if (task) {
-        task.completed = !task.completed;
-        saveData();
-        updateUI();
-    }
+function rememberSavedRecords(records) {
+    savedRecords = {};
+    DB_STORES.forEach(name => {
+        savedRecords[name] = new Map();
+        records[name].forEach((value, key) => savedRecords[name].set(key, JSON.stringify(value)));
+    });
 }
 
 /**
- * Delete a task
- * @param {string} taskId - The task ID to delete
+ * Write every record that changed since the last successful save, and
+ * delete records that no longer exist, in a single transaction.
+ * @returns {Promise<boolean>} Whether anything was written
  */
-function deleteTask(taskId) {
-    appData.tasks = appData.tasks.filter(t => t.id !== taskId);
-    saveData();
-    updateUI();
+function writeChangedRecords() {
+    const records = splitIntoRecords(appData);
+    const nextSaved = {};
+    const changes = [];
+
+    DB_STORES.forEach(name => {
+        const previous = savedRecords[name] || new Map();
+        const current = new Map();
+
+        records[name].forEach(([key, value]) => {
+            const json = JSON.stringify(value);
+            current.set(key, json);
+            if (previous.get(key) !== json) {
+                changes.push({ store: name, key: key, value: value });
+            }
+        });
+        previous.forEach((json, key) => {
+            if (!current.has(key)) {
+                changes.push({ store: name, key: key, remove: true });
+            }
+        });
+
+        nextSaved[name] = current;
+    });
+
+    if (changes.length === 0) return Promise.resolve(false);
+
+    return new Promise((resolve, reject) => {
+        const storeNames = [...new Set(changes.map(change => change.store))];
+        const transaction = database.transaction(storeNames, 'readwrite');
+
+        changes.forEach(change => {
+            const store = transaction.objectStore(change.store);
+            if (change.remove) {
+                store.delete(change.key);
+            } else {
+                store.put(change.value, change.key);
+            }
+        });
+
+        transaction.oncomplete = () => {
+            savedRecords = nextSaved;
+            resolve(true);
+        };
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
 }
 
 /**
- * Update the full task list on Tasks page with current filter
+ * Write pending changes now. Saves run one at a time; a save requested
+ * while another is running is done once it finishes.
  */
-function updateFullTaskList() {
-    const container = document.getElementById('fullTaskList');
-    let filteredTasks = [...appData.tasks];
+async function flushSave() {
+    saveScheduled = false;
 
-    // Apply current filter
-    if (currentFilter === 'active') {
-        filteredTasks = filteredTasks.filter(t => !t.completed);
-    } else if (currentFilter === 'completed') {
-        filteredTasks = filteredTasks.filter(t => t.completed);
+    while (saveInFlight) {
+        await saveInFlight;
     }
 
-    // Sort: active first, then by due date
-    filteredTasks.sort((a, b) => {
-        if (a.completed !== b.completed) {
-            return a.completed ? 1 : -1;
+    saveInFlight = (async () => {
+        try {
+            let changed = true;
+            if (database) {
+                changed = await writeChangedRecords();
+            } else {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(appData));
+            }
+            if (changed) {
+                broadcastDataChange();
+            }
+            if (storageFailed) {
+                storageFailed = false;
+                hideStorageWarning();
+            }
+        } catch (error) {
+            console.error('Failed to save data:', error);
+            storageFailed = true;
+            showStorageWarning(`${describeStorageError(error)} Your latest changes were not saved.`);
         }
-        if (a.dueDate && b.dueDate) return a.dueDate.localeCompare(b.dueDate);
-        if (a.dueDate) return -1;
-        if (b.dueDate) return 1;
-        return 0;
-    });
+    })();
 
-    if (filteredTasks.length === 0) {
-        const messages = {
-            all: 'No tasks yet. Add your first task above!',
-            active: 'No active tasks. Great job!',
-            completed: 'No completed tasks yet.'
-        };
-        container.innerHTML = `<div class="empty-state">${messages[currentFilter]}</div>`;
-        return;
+    await saveInFlight;
+    saveInFlight = null;
+}
+
+/**
+ * Explain a storage error in plain words
+ * @param {Error} error - Error from IndexedDB or localStorage
+ */
+function describeStorageError(error) {
+    const name = error?.name || '';
+    if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+        return 'Your browser storage for FocusFlow is full. Empty the Trash or export a backup from Settings and clear old tasks.';
     }
+    if (name === 'SecurityError' || name === 'InvalidStateError') {
+        return 'Your browser is blocking storage for this site (private browsing can do this).';
+    }
+    return 'Your browser could not save FocusFlow data.';
+}
 
-    container.innerHTML = filteredTasks.map(task => createTaskItemHTML(task, false)).join('');
+/**
+ * Show the banner warning that data isn't being saved
+ * @param {string} message - What went wrong
+ */
+function showStorageWarning(message) {
+    document.getElementById('storageWarningText').textContent = message;
+    document.getElementById('storageWarning').hidden = false;
 }
 
 /**
- * Set the current task filter
- * @param {string} filter - Filter type (all/active/completed)
+ * Hide the storage warning banner
  */
-function setFilter(filter) {
-    currentFilter = filter;
+function hideStorageWarning() {
+    document.getElementById('storageWarning').hidden = true;
+}
 
-    // Update filter button states
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.filter === filter);
-    });
+/**
+ * Show where data is stored and how much space it uses in Settings
+ */
+async function updateStorageInfo() {
+    const infoEl = document.getElementById('storageInfo');
+    const backend = database ? 'IndexedDB' : 'localStorage';
+    infoEl.textContent = `Saved in this browser using ${backend}.`;
 
-    updateFullTaskList();
+    if (!navigator.storage?.estimate) return;
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        infoEl.textContent = `Saved in this browser using ${backend}: ${toMB(usage)} MB used of ${toMB(quota)} MB available.`;
+    } catch (error) {
+        // Leave the basic description in place
+    }
 }
 
 // ============================================================
-// TIMETABLE FUNCTIONS
+// TAB SYNC FUNCTIONS
 // ============================================================
 
+const SYNC_CHANNEL = 'focusflow';
+const SYNC_KEY = 'focusflow_sync';
+const TIMER_LOCK = 'focusflow-timer';
+const REMINDER_LOCK = 'focusflow-reminders';
+const TAB_ID = generateId();
+
+let syncChannel = null;
+let ownsTimer = false;
+let timerLockController = null;
+let releaseTimerLock = null;
+let ownsReminders = false;
+
 /**
- * Render the timetable with hourly blocks
+ * Listen for changes saved by other tabs.
+ * Uses BroadcastChannel, or storage events on SYNC_KEY where it's missing.
  */
-function updateTimetable() {
-    const container = document.getElementById('timetableContainer');
-    const currentHour = new Date().getHours();
-    let html = '';
+function initTabSync() {
+    if ('BroadcastChannel' in window) {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+        syncChannel.onmessage = (e) => handleSyncMessage(e.data);
+    }
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === SYNC_KEY && e.newValue) {
+            handleSyncMessage(JSON.parse(e.newValue));
+        }
+    });
+
+    // A page left stale while one of its fields was being edited catches up afterwards
+    document.addEventListener('focusout', () => setTimeout(refreshCurrentPage, 0));
+}
+
+/**
+ * Tell other tabs that this tab saved new data
+ */
+function broadcastDataChange() {
+    const message = { type: 'data-changed', from: TAB_ID, at: Date.now() };
+
+    if (syncChannel) {
+        syncChannel.postMessage(message);
+        return;
+    }
+
+    try {
+        localStorage.setItem(SYNC_KEY, JSON.stringify(message));
+    } catch (error) {
+        // Other tabs will pick the changes up on their next load
+    }
+}
+
+/**
+ * React to a message from another tab
+ * @param {Object} message - Message posted by broadcastDataChange()
+ */
+function handleSyncMessage(message) {
+    if (!message || message.from === TAB_ID) return;
+
+    if (message.type === 'data-changed') {
+        reloadFromStorage();
+    }
+}
+
+/**
+ * Take in what another tab saved and re-render.
+ * Changes this tab hasn't written yet are saved first so they aren't lost,
+ * and records this tab changes while the read is under way are kept.
+ */
+async function reloadFromStorage() {
+    if (saveScheduled) {
+        await flushSave();
+    }
+
+    try {
+        if (database) {
+            const records = await readAllRecords();
+            const merged = mergeUnsavedRecords(records);
+            rememberSavedRecords(records);
+            appData = parseSavedData(JSON.stringify(joinRecords(merged.records)));
+            if (merged.changed) saveData();
+        } else {
+            const saved = readLocalStorage();
+            if (!saved) return;
+            appData = parseSavedData(saved);
+        }
+    } catch (error) {
+        console.error('Failed to reload data from another tab:', error);
+        return;
+    }
+
+    syncTimerOwnership();
+    updateUIAfterSync();
+}
+
+/**
+ * Lay the records this tab changed since its last save over records read
+ * from storage, so a change made while the read was under way isn't lost
+ * @param {Object} records - Map of key to value for each store name
+ * @returns {{records: Object, changed: boolean}} The merged records, and whether any were this tab's
+ */
+function mergeUnsavedRecords(records) {
+    const local = splitIntoRecords(appData);
+    const merged = {};
+    let changed = false;
+
+    DB_STORES.forEach(name => {
+        const saved = savedRecords[name] || new Map();
+        const current = new Map(local[name]);
+        merged[name] = new Map(records[name]);
+
+        new Set([...saved.keys(), ...current.keys()]).forEach(key => {
+            const value = current.get(key);
+            if ((value === undefined ? undefined : JSON.stringify(value)) === saved.get(key)) return;
+
+            changed = true;
+            if (value === undefined) {
+                merged[name].delete(key);
+            } else {
+                merged[name].set(key, value);
+            }
+        });
+    });
+
+    return { records: merged, changed: changed };
+}
+
+/**
+ * Whether this tab is the one that finishes phases and logs sessions.
+ * Without the Web Locks API every tab acts on its own.
+ */
+function isTimerOwner() {
+    return !navigator.locks || ownsTimer;
+}
+
+/**
+ * Queue for ownership of the running timer. The first tab to ask owns it
+ * until the timer stops or the tab closes; the next tab in line then takes over.
+ */
+function claimTimer() {
+    if (!navigator.locks || ownsTimer || timerLockController) return;
+
+    timerLockController = new AbortController();
+    navigator.locks.request(TIMER_LOCK, { signal: timerLockController.signal }, async () => {
+        ownsTimer = true;
+
+        // Pick up whatever the previous owner saved before acting on the timer
+        await reloadFromStorage();
+        if (!ownsTimer) return;
+
+        // A phase may have ended while another tab held the timer
+        tickTimer();
+        return new Promise(resolve => {
+            releaseTimerLock = resolve;
+        });
+    }).catch(() => {
+        // Aborted because the timer stopped before this tab's turn came
+    });
+}
+
+/**
+ * Give up ownership of the timer, or this tab's place in the queue for it.
+ * The next tab only takes over once this tab's pending save is written.
+ */
+function releaseTimer() {
+    if (timerLockController) {
+        timerLockController.abort();
+        timerLockController = null;
+    }
+    if (releaseTimerLock) {
+        const release = releaseTimerLock;
+        releaseTimerLock = null;
+        Promise.resolve().then(() => saveInFlight).then(release);
+    }
+    ownsTimer = false;
+}
+
+/**
+ * Match this tab's ticker and timer ownership to the saved timer state
+ */
+function syncTimerOwnership() {
+    if (appData.timer.isRunning) {
+        claimTimer();
+        startTimerTicker();
+    } else {
+        releaseTimer();
+        stopTimerTicker();
+    }
+}
+
+/**
+ * Whether this tab is the one that sends task reminders.
+ * Without the Web Locks API every tab sends its own.
+ */
+function isReminderOwner() {
+    return !navigator.locks || ownsReminders;
+}
+
+/**
+ * Queue for sending task reminders. Unlike the timer, this is held for as
+ * long as the tab is open; when it closes, the next tab in line takes over.
+ */
+function claimReminders() {
+    if (!navigator.locks) return;
+
+    navigator.locks.request(REMINDER_LOCK, () => {
+        ownsReminders = true;
+        checkTaskReminders();
+        return new Promise(() => {});
+    });
+}
+
+// ============================================================
+// UTILITY FUNCTIONS
+// ============================================================
+
+/**
+ * Generate a unique ID for new items
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// ============================================================
+// DATE & TIME FUNCTIONS
+// ============================================================
+// Dates are kept as local YYYY-MM-DD strings. Every conversion between those
+// strings and Date objects, and all date/time display, goes through here.
+
+// Formatters are costly to create, so they are kept per locale and options
+const dateFormatters = new Map();
+
+/**
+ * Get the display locale: the one chosen in Settings, or the browser's
+ */
+function getLocale() {
+    return appData.settings?.locale || undefined;
+}
+
+/**
+ * Format a Date with Intl options in the display locale
+ * @param {Date} date - The date to format
+ * @param {Object} options - Intl.DateTimeFormat options
+ */
+function formatWithLocale(date, options) {
+    const locale = getLocale();
+    const key = `${locale || ''}|${JSON.stringify(options)}`;
+    if (!dateFormatters.has(key)) {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat(locale, options);
+        } catch (error) {
+            formatter = new Intl.DateTimeFormat(undefined, options);
+        }
+        dateFormatters.set(key, formatter);
+    }
+    return dateFormatters.get(key).format(date);
+}
+
+/**
+ * Convert a Date to a YYYY-MM-DD string in local time
+ */
+function getDateString(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Turn a YYYY-MM-DD string into a Date at local noon, which stays on the
+ * same day whatever daylight-saving shifts happen around it
+ */
+function parseDateString(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day, 12);
+}
+
+/**
+ * Get today's date as YYYY-MM-DD string
+ */
+function getTodayDateString() {
+    return getDateString(new Date());
+}
+
+/**
+ * Get the day of the week (0 = Sunday) for a YYYY-MM-DD string
+ */
+function getDayOfWeek(dateString) {
+    return parseDateString(dateString).getDay();
+}
+
+/**
+ * Count whole days from one YYYY-MM-DD string to another
+ */
+function getDaysBetween(fromDateString, toDateString) {
+    const from = parseDateString(fromDateString);
+    const to = parseDateString(toDateString);
+    return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Shift a YYYY-MM-DD string by a number of days
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ */
+function addDays(dateString, days) {
+    const date = parseDateString(dateString);
+    date.setDate(date.getDate() + days);
+    return getDateString(date);
+}
+
+/**
+ * Shift a YYYY-MM-DD string by a number of months, keeping the day of the
+ * month where it exists (Jan 31 + 1 month is the last day of February)
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} months - Months to add (negative to go back)
+ */
+function addMonths(dateString, months) {
+    const date = parseDateString(dateString);
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months);
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, daysInMonth));
+    return getDateString(date);
+}
+
+/**
+ * Get the day weeks start on (0 = Sunday, 1 = Monday)
+ */
+function getWeekStartDay() {
+    return appData.settings?.weekStartsOn === 0 ? 0 : 1;
+}
+
+/**
+ * Get the days of the week (0 = Sunday) in display order
+ */
+function getWeekdayOrder() {
+    const first = getWeekStartDay();
+    return Array.from({ length: 7 }, (_, i) => (first + i) % 7);
+}
+
+/**
+ * Get the first day of the week a date falls in
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function getWeekStart(dateString) {
+    const daysBack = (getDayOfWeek(dateString) - getWeekStartDay() + 7) % 7;
+    return addDays(dateString, -daysBack);
+}
+
+/**
+ * Get a weekday's name in the display locale (e.g., "Monday" or "Mon")
+ * @param {number} day - Day of the week (0 = Sunday)
+ * @param {string} [style] - 'long' or 'short'
+ */
+function getWeekdayName(day, style = 'long') {
+    // January 4, 2026 was a Sunday
+    return formatWithLocale(new Date(2026, 0, 4 + day, 12), { weekday: style });
+}
+
+/**
+ * Format date string for display (e.g., "Jan 31")
+ */
+function formatDate(dateString) {
+    if (!dateString) return '';
+    return formatWithLocale(parseDateString(dateString), { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Get full date string for display (e.g., "Friday, January 31, 2026")
+ * @param {string} [dateString] - Date in YYYY-MM-DD format (defaults to today)
+ */
+function getFullDateString(dateString) {
+    const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
+    return formatWithLocale(dateString ? parseDateString(dateString) : new Date(), options);
+}
+
+/**
+ * Format the month a date falls in (e.g., "October 2026")
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function formatMonth(dateString) {
+    return formatWithLocale(parseDateString(dateString), { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Format minutes after midnight as a time label on the chosen 12- or 24-hour
+ * clock (e.g., "9 AM", "9:30 AM" or "09:30")
+ * @param {number} totalMinutes - Minutes after midnight (1440 is midnight at the end of the day)
+ */
+function formatTimeLabel(totalMinutes) {
+    const hour = Math.floor(totalMinutes / 60) % 24;
+    const minutes = totalMinutes % 60;
+    const options = appData.settings?.use24Hour
+        ? { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }
+        : { hour: 'numeric', minute: minutes === 0 ? undefined : '2-digit', hour12: true };
+
+    return formatWithLocale(new Date(2026, 0, 1, hour, minutes), options);
+}
+
+/**
+ * Format the time of day of a Date (e.g., "2:30 PM" or "14:30")
+ */
+function formatClockTime(date) {
+    return formatTimeLabel(date.getHours() * 60 + date.getMinutes());
+}
+
+/**
+ * Get appropriate greeting based on time of day
+ */
+function getGreetingTime() {
+    const hour = new Date().getHours();
+    if (hour < 12) return 'Good Morning';
+    if (hour < 17) return 'Good Afternoon';
+    return 'Good Evening';
+}
+
+/**
+ * Check whether an event target is a field the user types into
+ */
+function isEditableTarget(target) {
+    return Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+}
+
+/**
+ * Escape HTML to prevent XSS attacks. Quotes are escaped too, so the
+ * result is also safe inside attribute values.
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for a single-quoted string argument in an inline event handler.
+ * The attribute is HTML-decoded before the handler runs, so the text is
+ * escaped for JavaScript first and then for HTML.
+ */
+function escapeJsString(text) {
+    return escapeHtml(JSON.stringify(String(text)).slice(1, -1).replace(/'/g, "\\'"));
+}
+
+// ============================================================
+// DASHBOARD FUNCTIONS
+// ============================================================
+
+/**
+ * Update the greeting section with user name and date
+ */
+function updateGreeting() {
+    const greetingEl = document.getElementById('greeting');
+    const dateEl = document.getElementById('currentDate');
+    const userName = appData.settings?.userName || 'Student';
+
+    greetingEl.textContent = `${getGreetingTime()}, ${userName}`;
+    dateEl.textContent = getFullDateString();
+}
+
+/**
+ * Get all tasks due today (including today's instances of recurring tasks)
+ */
+function getTodaysTasks() {
+    return getTasksForDate(getTodayDateString());
+}
+
+/**
+ * Render today's tasks in the dashboard card
+ */
+function updateTodaysTasks() {
+    const container = document.getElementById('todayTasksList');
+    const todayTasks = getTodaysTasks();
+
+    if (todayTasks.length === 0) {
+        container.innerHTML = '<div class="empty-state">No tasks for today. Add one below!</div>';
+        return;
+    }
+
+    // Sort: active tasks first, completed at bottom
+    const sortedTasks = [...todayTasks].sort((a, b) => {
+        if (a.completed === b.completed) return 0;
+        return a.completed ? 1 : -1;
+    });
+
+    container.innerHTML = sortedTasks.map(task => createTaskItemHTML(task, true)).join('');
+}
+
+/**
+ * Check whether a one-off task is unfinished and past its due date.
+ * Missed days of recurring tasks aren't overdue; the next one comes round anyway.
+ * @param {Object} task - The task object
+ */
+function isTaskOverdue(task) {
+    return !task.recurrence && !task.completed && Boolean(task.dueDate) && task.dueDate < getTodayDateString();
+}
+
+/**
+ * Check whether a task was moved to its due date by "Move all to today"
+ * @param {Object} task - The task object
+ */
+function isTaskCarriedOver(task) {
+    return Boolean(task.carriedOver) && task.carriedOver.to === task.dueDate;
+}
+
+/**
+ * Get overdue tasks, oldest first
+ */
+function getOverdueTasks() {
+    return appData.tasks
+        .filter(isTaskOverdue)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * Get unfinished one-off tasks with no due date
+ */
+function getUndatedTasks() {
+    return appData.tasks.filter(task => !task.dueDate && !task.recurrence && !task.completed);
+}
+
+/**
+ * Render the Overdue group on the dashboard
+ */
+function updateOverdueTasks() {
+    const overdueTasks = getOverdueTasks();
+
+    document.getElementById('overdueGroup').hidden = overdueTasks.length === 0;
+    document.getElementById('overdueCount').textContent = overdueTasks.length || '';
+    document.getElementById('overdueTasksList').innerHTML = overdueTasks.map(task => createTaskItemHTML(task, true)).join('');
+}
+
+/**
+ * Render the Someday / Inbox group of undated tasks on the dashboard
+ */
+function updateInboxTasks() {
+    const inboxTasks = appData.settings?.dashboardShowsInbox ? getUndatedTasks() : [];
+
+    document.getElementById('inboxGroup').hidden = inboxTasks.length === 0;
+    document.getElementById('inboxCount').textContent = inboxTasks.length || '';
+    document.getElementById('inboxTasksList').innerHTML = inboxTasks.map(task => createTaskItemHTML(task, true)).join('');
+}
+
+/**
+ * Move every overdue task to today. Each remembers the day it was first due,
+ * so the dashboard can show where it came from.
+ */
+function rollOverOverdueTasks() {
+    const overdueTasks = getOverdueTasks();
+    if (overdueTasks.length === 0) return;
+
+    const today = getTodayDateString();
+    const now = new Date().toISOString();
+
+    recordUndo('Move overdue tasks');
+    overdueTasks.forEach(task => {
+        const from = isTaskCarriedOver(task) ? task.carriedOver.from : task.dueDate;
+        task.carriedOver = { from, to: today };
+        task.dueDate = today;
+        task.updatedAt = now;
+    });
+    saveData();
+    updateUI();
+    showUndoToast(`Moved ${overdueTasks.length} task${overdueTasks.length === 1 ? '' : 's'} to today`);
+}
+
+/**
+ * Update the daily progress bar
+ */
+function updateDailyProgress() {
+    const todayTasks = appData.settings?.progressCountsCarriedOver
+        ? getTodaysTasks()
+        : getTodaysTasks().filter(task => !isTaskCarriedOver(task));
+    const countSubtasks = appData.settings?.progressCountsSubtasks;
+    let total = 0;
+    let completed = 0;
+
+    // Optionally count each subtask as a step, so partly done tasks show progress
+    todayTasks.forEach(task => {
+        const subtasks = task.subtasks || [];
+        if (countSubtasks && subtasks.length > 0) {
+            total += subtasks.length;
+            completed += task.completed ? subtasks.length : subtasks.filter(st => st.completed).length;
+        } else {
+            total++;
+            if (task.completed) completed++;
+        }
+    });
+
+    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+    const unit = countSubtasks ? 'steps' : 'tasks';
+
+    const fillEl = document.getElementById('progressFill');
+    const textEl = document.getElementById('progressText');
+
+    fillEl.style.width = `${percentage}%`;
+    textEl.textContent = total > 0
+        ? `${percentage}% completed (${completed}/${total} ${unit})`
+        : 'No tasks for today';
+}
+
+// ============================================================
+// TASK MANAGEMENT FUNCTIONS
+// ============================================================
+
+/**
+ * Create HTML for a task item
+ * @param {Object} task - The task object
+ * @param {boolean} isDashboard - Whether this is for dashboard (simplified view)
+ */
+function createTaskItemHTML(task, isDashboard = false) {
+    const priorityClass = task.priority || 'medium';
+    const priorityLabel = priorityClass.charAt(0).toUpperCase() + priorityClass.slice(1);
+    const completedClass = task.completed ? 'completed' : '';
+    const focusedClass = appData.timer?.taskId === task.id ? 'focused' : '';
+    const dueDateDisplay = task.dueDate ? formatDate(task.dueDate) : '';
+    let dueBadge = dueDateDisplay && !isDashboard ? `<span class="task-due">${dueDateDisplay}</span>` : '';
+    if (isTaskOverdue(task)) {
+        dueBadge = `<span class="task-due overdue" title="Was due ${escapeHtml(getFullDateString(task.dueDate))}">${isDashboard ? '' : 'Overdue · '}${dueDateDisplay}</span>`;
+    } else if (isDashboard && isTaskCarriedOver(task)) {
+        dueBadge = `<span class="task-due carried" title="Carried over from ${escapeHtml(getFullDateString(task.carriedOver.from))}">↪ ${formatDate(task.carriedOver.from)}</span>`;
+    }
+    const instanceArg = task.instanceDate ? `, '${escapeJsString(task.instanceDate)}'` : '';
+    const isExpanded = !isDashboard && expandedTaskIds.has(task.id);
+
+    return `
+        <div class="task-item ${completedClass} ${focusedClass}" data-id="${escapeHtml(task.id)}">
+            <span class="task-drag-handle" draggable="true" ondragstart="startTaskDrag(event, '${escapeJsString(task.id)}')"
+                  ondragend="endDrag()" aria-hidden="true"
+                  title="${!isDashboard && taskView.sort === 'manual' ? 'Drag to reorder, or onto the timetable to schedule' : 'Drag onto the timetable to schedule'}">⋮⋮</span>
+            <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} 
+                   onchange="toggleTask('${escapeJsString(task.id)}'${instanceArg})">
+            <span class="task-title" ondblclick="startTitleEdit(this, '${escapeJsString(task.id)}')" title="Double-click to rename">${escapeHtml(task.title)}</span>
+            ${task.recurrence ? `<span class="task-repeat" title="Repeats ${escapeHtml(formatRecurrence(task.recurrence).toLowerCase())}">↻${!isDashboard ? ` ${escapeHtml(formatRecurrence(task.recurrence))}` : ''}</span>` : ''}
+            ${createSubjectChipHTML(getSubject(task.subjectId))}
+            ${createTagsHTML(task)}
+            ${createSubtaskBadgeHTML(task, isDashboard, isExpanded)}
+            ${createPomodoroBadgeHTML(task)}
+            ${!task.completed ? `<button class="task-focus" onclick="setFocusTask('${escapeJsString(task.id)}')" aria-label="Focus on this task" title="Focus on this task">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <circle cx="12" cy="12" r="9"></circle>
+                    <circle cx="12" cy="12" r="4"></circle>
+                </svg>
+            </button>` : ''}
+            ${!isDashboard ? `<span class="task-priority ${priorityClass}">${priorityLabel}</span>` : ''}
+            ${dueBadge}
+            <button class="task-edit" onclick="openTaskEditor('${escapeJsString(task.id)}')" aria-label="Edit task" title="Edit task">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                    </svg>
+            </button>
+            ${!isDashboard ? `<button class="task-delete" onclick="deleteTask('${escapeJsString(task.id)}')" aria-label="Delete task">&times;</button>` : ''}
+            ${task.notes && !isDashboard ? `<p class="task-notes">${escapeHtml(task.notes)}</p>` : ''}
+            ${isExpanded ? createSubtaskPanelHTML(task) : ''}
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for a task's estimated vs. completed pomodoros (e.g., "🍅 2/4")
+ * @param {Object} task - The task object
+ */
+function createPomodoroBadgeHTML(task) {
+    const done = task.completedPomodoros || 0;
+    const estimate = task.estimatedPomodoros;
+    if (!estimate && !done) return '';
+
+    const overClass = estimate && done > estimate ? 'over' : '';
+    const label = estimate ? `${done}/${estimate}` : `${done}`;
+    const title = estimate
+        ? `${done} of ${estimate} estimated pomodoros completed`
+        : `${done} pomodoros completed`;
+
+    return `<span class="task-pomodoros ${overClass}" title="${title}">🍅 ${label}</span>`;
+}
+
+/**
+ * Create HTML for a task's subtask progress (e.g., "2/5").
+ * On the Tasks page it doubles as the button that shows or hides the checklist.
+ * @param {Object} task - The task object
+ * @param {boolean} isDashboard - Whether this is for dashboard (simplified view)
+ * @param {boolean} isExpanded - Whether the checklist is currently shown
+ */
+function createSubtaskBadgeHTML(task, isDashboard, isExpanded) {
+    const subtasks = task.subtasks || [];
+    const done = subtasks.filter(st => st.completed).length;
+    const label = subtasks.length > 0 ? `${done}/${subtasks.length}` : 'Steps';
+
+    if (isDashboard) {
+        return subtasks.length > 0
+            ? `<span class="task-subtasks" title="${done} of ${subtasks.length} steps done">☑ ${label}</span>`
+            : '';
+    }
+
+    return `
+        <button class="task-subtasks ${subtasks.length === 0 ? 'empty' : ''}" onclick="toggleSubtaskPanel('${escapeJsString(task.id)}')"
+                aria-expanded="${isExpanded}" title="${isExpanded ? 'Hide' : 'Show'} steps">
+            ☑ ${label} ${isExpanded ? '▴' : '▾'}
+        </button>
+    `;
+}
+
+/**
+ * Create HTML for a task's expanded checklist with an input for new steps
+ * @param {Object} task - The task object
+ */
+function createSubtaskPanelHTML(task) {
+    const subtasksHtml = (task.subtasks || []).map(subtask => `
+        <div class="subtask-item ${subtask.completed ? 'completed' : ''}">
+            <input type="checkbox" class="task-checkbox" ${subtask.completed ? 'checked' : ''}
+                   onchange="toggleSubtask('${escapeJsString(task.id)}', '${escapeJsString(subtask.id)}')" aria-label="Mark step done">
+            <span class="subtask-title">${escapeHtml(subtask.title)}</span>
+            <button class="task-delete" onclick="deleteSubtask('${escapeJsString(task.id)}', '${escapeJsString(subtask.id)}')" aria-label="Delete step">&times;</button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="subtask-panel">
+            <div class="subtask-list">${subtasksHtml}</div>
+            <div class="subtask-add">
+                <input type="text" class="input" placeholder="Add a step..." id="subtaskInput-${escapeHtml(task.id)}"
+                       onkeypress="handleSubtaskKeypress(event, '${escapeJsString(task.id)}')" aria-label="New step">
+                <button class="btn btn-secondary" onclick="addSubtaskFromInput('${escapeJsString(task.id)}')">Add</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Add a new task
+ * @param {string} title - Task title
+ * @param {string} priority - Priority level (high/medium/low)
+ * @param {string|null} dueDate - Due date in YYYY-MM-DD format
+ * @param {number|null} estimatedPomodoros - Optional estimate of pomodoros needed
+ * @param {Object|null} recurrence - Optional repeat rule (see matchesRecurrence)
+ * @param {Object} [details] - Optional `tags` (list of names) and `subjectId`
+ */
+function addTask(title, priority = 'medium', dueDate = null, estimatedPomodoros = null, recurrence = null, details = {}) {
+    if (!title.trim()) return;
+
+    const task = {
+        id: generateId(),
+        title: title.trim(),
+        priority: priority,
+        // A recurring task's due date is the first day of the series
+        dueDate: dueDate || (recurrence ? getTodayDateString() : null),
+        estimatedPomodoros: estimatedPomodoros || null,
+        completedPomodoros: 0,
+        completed: false,
+        createdAt: new Date().toISOString()
+    };
+
+    if (recurrence) {
+        task.recurrence = recurrence;
+        task.completedDates = [];
+    }
+
+    if (details.tags?.length > 0) {
+        task.tags = details.tags;
+    }
+
+    if (details.subjectId) {
+        task.subjectId = details.subjectId;
+    }
+
+    recordUndo('Add task');
+    appData.tasks.push(task);
+    saveData();
+    updateUI();
+}
+
+/**
+ * Toggle task completion status.
+ * For recurring tasks only the given day's instance is toggled.
+ * @param {string} taskId - The task ID to toggle
+ * @param {string} [instanceDate] - Date of the recurring instance (YYYY-MM-DD)
+ */
+function toggleTask(taskId, instanceDate) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    recordUndo('Complete task');
+    let nowCompleted;
+
+    if (task.recurrence && instanceDate) {
+        const completedDates = task.completedDates || [];
+        nowCompleted = !completedDates.includes(instanceDate);
+        task.completedDates = nowCompleted
+            ? [...completedDates, instanceDate]
+            : completedDates.filter(date => date !== instanceDate);
+    } else {
+        task.completed = !task.completed;
+        nowCompleted = task.completed;
+    }
+
+    saveData();
+    updateUI();
+    showUndoToast(`Marked "${task.title}" ${nowCompleted ? 'done' : 'not done'}`);
+}
+
+/**
+ * Delete a task by moving it to the Trash
+ * @param {string} taskId - The task ID to delete
+ */
+function deleteTask(taskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    recordUndo('Delete task');
+    appData.tasks = appData.tasks.filter(t => t.id !== taskId);
+    appData.trash.push({ task: task, deletedAt: new Date().toISOString() });
+    if (appData.timer.taskId === taskId) {
+        appData.timer.taskId = null;
+    }
+    saveData();
+    updateUI();
+    showUndoToast(`Moved "${task.title}" to Trash`);
+}
+
+/**
+ * Remove one day from a recurring task's series; the rest of the series stays
+ * @param {string} taskId - The recurring task's ID
+ * @param {string} dateString - The occurrence to skip (YYYY-MM-DD)
+ */
+function skipTaskOccurrence(taskId, dateString) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task?.recurrence) return;
+
+    recordUndo('Skip occurrence');
+    task.skippedDates = [...(task.skippedDates || []), dateString];
+    task.completedDates = (task.completedDates || []).filter(date => date !== dateString);
+    saveData();
+    updateUI();
+    showUndoToast(`Removed "${task.title}" from ${formatDate(dateString)}`);
+}
+
+/**
+ * Apply changes to a task and refresh every view that shows it
+ * @param {string} taskId - The task ID
+ * @param {Object} changes - Fields to overwrite (title, priority, dueDate, notes, ...)
+ */
+function updateTask(taskId, changes) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    recordUndo('Edit task');
+    Object.assign(task, changes, { updatedAt: new Date().toISOString() });
+    saveData();
+    updateUI();
+    showUndoToast(`Updated "${task.title}"`);
+}
+
+/**
+ * Swap a task's title for a text input so it can be renamed in place.
+ * Enter or leaving the field saves, Escape cancels.
+ * @param {HTMLElement} titleEl - The element showing the title
+ * @param {string} taskId - The task ID
+ */
+function startTitleEdit(titleEl, taskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'input title-edit-input';
+    input.value = task.title;
+    input.setAttribute('aria-label', 'Task title');
+
+    let finished = false;
+    const finish = (save) => {
+        if (finished) return;
+        finished = true;
+
+        const title = input.value.trim();
+        if (save && title && title !== task.title) {
+            updateTask(taskId, { title: title });
+        } else {
+            updateUI();
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    titleEl.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Open the edit dialog filled in with a task's current values
+ * @param {string} taskId - The task ID
+ */
+function openTaskEditor(taskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    editingTaskId = taskId;
+    document.getElementById('editTaskTitle').value = task.title;
+    document.getElementById('editTaskPriority').value = task.priority || 'medium';
+    document.getElementById('editTaskDueDate').value = task.dueDate || '';
+    document.getElementById('editTaskEstimate').value = task.estimatedPomodoros || '';
+    document.getElementById('editTaskSubject').value = getSubject(task.subjectId) ? task.subjectId : '';
+    document.getElementById('editTaskTags').value = (task.tags || []).map(tag => `#${tag}`).join(' ');
+    document.getElementById('editTaskNotes').value = task.notes || '';
+    document.getElementById('editTaskReminder').value = task.reminder ? String(task.reminder.daysBefore) : '';
+    document.getElementById('editTaskReminderTime').value = task.reminder?.time || REMINDER_DEFAULT_TIME;
+    updateEditorReminderTime();
+
+    // A recurring task's due date is when the series starts
+    document.getElementById('editTaskDueDateLabel').textContent = task.recurrence ? 'Repeats from' : 'Due date';
+
+    document.getElementById('taskEditModal').hidden = false;
+    document.getElementById('editTaskTitle').focus();
+}
+
+/**
+ * Close the edit dialog without saving
+ */
+function closeTaskEditor() {
+    editingTaskId = null;
+    document.getElementById('taskEditModal').hidden = true;
+}
+
+/**
+ * Save the edit dialog's values to the task being edited
+ */
+function saveTaskEditor() {
+    const task = appData.tasks.find(t => t.id === editingTaskId);
+    if (!task) {
+        closeTaskEditor();
+        return;
+    }
+
+    const titleInput = document.getElementById('editTaskTitle');
+    const title = titleInput.value.trim();
+    if (!title) {
+        titleInput.focus();
+        return;
+    }
+
+    const dateValue = document.getElementById('editTaskDueDate').value || null;
+    // Recurring tasks always need a start date
+    const dueDate = task.recurrence ? (dateValue || task.dueDate) : dateValue;
+    const estimate = parseInt(document.getElementById('editTaskEstimate').value, 10);
+    const reminder = getEditorReminder();
+    const reminderChanged = JSON.stringify(reminder) !== JSON.stringify(task.reminder || null);
+
+    updateTask(task.id, {
+        title: title,
+        priority: document.getElementById('editTaskPriority').value,
+        dueDate: dueDate,
+        estimatedPomodoros: estimate > 0 ? Math.min(estimate, 20) : null,
+        subjectId: document.getElementById('editTaskSubject').value || null,
+        tags: parseTagList(document.getElementById('editTaskTags').value),
+        notes: document.getElementById('editTaskNotes').value.trim(),
+        reminder: reminder,
+        // A new reminder time or due date means the reminder can be sent again
+        reminderSentFor: reminderChanged || dueDate !== task.dueDate ? null : task.reminderSentFor || null
+    });
+    closeTaskEditor();
+}
+
+/**
+ * Show or hide a task's checklist on the Tasks page
+ * @param {string} taskId - The task ID
+ */
+function toggleSubtaskPanel(taskId) {
+    if (expandedTaskIds.has(taskId)) {
+        expandedTaskIds.delete(taskId);
+    } else {
+        expandedTaskIds.add(taskId);
+    }
+    updateFullTaskList();
+}
+
+/**
+ * Mark a one-off task done once all its steps are done, and undone when a
+ * step is unticked, if the user has that setting on. Adding a step leaves the
+ * task as it is. Recurring tasks share one checklist across every day, so
+ * they are left alone.
+ * @param {Object} task - The task object
+ * @param {boolean} unticked - Whether a step was just unticked
+ */
+function syncTaskWithSubtasks(task, unticked = false) {
+    const subtasks = task.subtasks || [];
+    if (!appData.settings.autoCompleteWithSubtasks || task.recurrence || subtasks.length === 0) return;
+
+    if (unticked) {
+        task.completed = false;
+    } else if (subtasks.every(st => st.completed)) {
+        task.completed = true;
+    }
+}
+
+/**
+ * Add a step to the end of a task's checklist
+ * @param {string} taskId - The task ID
+ * @param {string} title - Step title
+ */
+function addSubtask(taskId, title) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task || !title.trim()) return;
+
+    recordUndo('Add step');
+    task.subtasks = task.subtasks || [];
+    task.subtasks.push({
+        id: generateId(),
+        title: title.trim(),
+        completed: false
+    });
+
+    saveData();
+    updateUI();
+}
+
+/**
+ * Toggle a step's completion status
+ * @param {string} taskId - The task ID
+ * @param {string} subtaskId - The step ID
+ */
+function toggleSubtask(taskId, subtaskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    const subtask = task?.subtasks?.find(st => st.id === subtaskId);
+    if (!subtask) return;
+
+    recordUndo('Complete step');
+    subtask.completed = !subtask.completed;
+    syncTaskWithSubtasks(task, !subtask.completed);
+
+    saveData();
+    updateUI();
+}
+
+/**
+ * Delete a step from a task's checklist
+ * @param {string} taskId - The task ID
+ * @param {string} subtaskId - The step ID
+ */
+function deleteSubtask(taskId, subtaskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task?.subtasks) return;
+
+    recordUndo('Delete step');
+    task.subtasks = task.subtasks.filter(st => st.id !== subtaskId);
+    syncTaskWithSubtasks(task);
+
+    saveData();
+    updateUI();
+    showUndoToast('Deleted step');
+}
+
+/**
+ * Add a step from a task's checklist input and keep the input focused
+ */
+function addSubtaskFromInput(taskId) {
+    const input = document.getElementById(`subtaskInput-${taskId}`);
+    const title = input.value.trim();
+
+    if (!title) return;
+
+    addSubtask(taskId, title);
+    document.getElementById(`subtaskInput-${taskId}`)?.focus();
+}
+
+/**
+ * Handle Enter key in a checklist input
+ */
+function handleSubtaskKeypress(event, taskId) {
+    if (event.key === 'Enter') {
+        addSubtaskFromInput(taskId);
+    }
+}
+
+/**
+ * Update the full task list on Tasks page with the current search, filters and sort
+ */
+function updateFullTaskList() {
+    const container = document.getElementById('fullTaskList');
+    const countEl = document.getElementById('taskResultCount');
+    updateTrashCount();
+
+    if (taskView.status === 'trash') {
+        countEl.textContent = '';
+        updateTrashList(container);
+        return;
+    }
+
+    // Recurring tasks are listed once, as their next open instance
+    const allTasks = appData.tasks.map(task => task.recurrence ? getSeriesListEntry(task) : task);
+    const matches = createTaskViewFilter();
+    const filteredTasks = sortTaskList(allTasks.filter(matches), taskView.sort);
+    const filtered = isTaskViewFiltered();
+
+    countEl.textContent = filtered && allTasks.length > 0
+        ? `Showing ${filteredTasks.length} of ${allTasks.length} ${allTasks.length === 1 ? 'task' : 'tasks'}`
+        : '';
+
+    if (filteredTasks.length === 0) {
+        const messages = {
+            all: 'No tasks yet. Add your first task above!',
+            active: 'No active tasks. Great job!',
+            completed: 'No completed tasks yet.'
+        };
+        const message = filtered && allTasks.length > 0 ? 'No tasks match your search and filters.' : messages[taskView.status];
+        container.innerHTML = `<div class="empty-state">${message}</div>`;
+        return;
+    }
+
+    container.innerHTML = filteredTasks.map(task => createTaskItemHTML(task, false)).join('');
+}
+
+/**
+ * Build a test for whether a task (or a recurring task's list entry) fits the current view.
+ * Every word of the search has to appear in the title or notes.
+ */
+function createTaskViewFilter() {
+    const today = getTodayDateString();
+    const weekDates = getWeekDates(getWeekStart(today));
+    const weekEnd = weekDates[6];
+    const words = taskView.search.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const dueMatches = {
+        all: () => true,
+        overdue: task => isTaskOverdue(task),
+        today: task => task.dueDate === today,
+        week: task => Boolean(task.dueDate) && task.dueDate >= weekDates[0] && task.dueDate <= weekEnd,
+        later: task => Boolean(task.dueDate) && task.dueDate > weekEnd,
+        none: task => !task.dueDate
+    };
+
+    return task => {
+        if (taskView.status === 'active' && task.completed) return false;
+        if (taskView.status === 'completed' && !task.completed) return false;
+        if (taskView.priority !== 'all' && (task.priority || 'medium') !== taskView.priority) return false;
+        if (!dueMatches[taskView.due](task)) return false;
+
+        if (taskView.subject === 'none' && getSubject(task.subjectId)) return false;
+        if (taskView.subject !== 'all' && taskView.subject !== 'none' && task.subjectId !== taskView.subject) return false;
+
+        const text = `${task.title} ${task.notes || ''}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    };
+}
+
+/**
+ * Sort tasks for the Tasks page. Apart from "manual", which keeps the order
+ * the user dragged them into, open tasks come before completed ones.
+ * @param {Object[]} tasks - Tasks to sort
+ * @param {string} sort - 'due', 'priority', 'created' or 'manual'
+ */
+function sortTaskList(tasks, sort) {
+    if (sort === 'manual') return tasks;
+
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    const byDueDate = (a, b) => {
+        if (a.dueDate && b.dueDate) return a.dueDate.localeCompare(b.dueDate);
+        if (a.dueDate) return -1;
+        if (b.dueDate) return 1;
+        return 0;
+    };
+    const comparators = {
+        due: byDueDate,
+        priority: (a, b) => (priorityOrder[a.priority] ?? 1) - (priorityOrder[b.priority] ?? 1) || byDueDate(a, b),
+        // Newest first
+        created: (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')
+    };
+
+    return [...tasks].sort((a, b) => {
+        if (a.completed !== b.completed) {
+            return a.completed ? 1 : -1;
+        }
+        return comparators[sort](a, b);
+    });
+}
+
+/**
+ * Check whether anything beyond the status buttons narrows the task list
+ */
+function isTaskViewFiltered() {
+    return Boolean(taskView.search.trim()) ||
+        ['priority', 'due', 'subject'].some(key => taskView[key] !== DEFAULT_TASK_VIEW[key]);
+}
+
+/**
+ * Read the remembered Tasks page view, ignoring values this version doesn't know
+ */
+function loadTaskView() {
+    const allowed = {
+        status: ['all', 'active', 'completed', 'trash'],
+        priority: ['all', 'high', 'medium', 'low'],
+        due: ['all', 'overdue', 'today', 'week', 'later', 'none'],
+        sort: ['due', 'priority', 'created', 'manual']
+    };
+    let saved = {};
+
+    try {
+        saved = JSON.parse(localStorage.getItem(VIEW_KEY)) || {};
+    } catch (error) {
+        // Unreadable or unavailable storage just means the default view
+    }
+
+    taskView = { ...DEFAULT_TASK_VIEW };
+    if (typeof saved.search === 'string') taskView.search = saved.search;
+    if (typeof saved.subject === 'string') taskView.subject = saved.subject;
+    Object.keys(allowed).forEach(key => {
+        if (allowed[key].includes(saved[key])) taskView[key] = saved[key];
+    });
+}
+
+/**
+ * Change the Tasks page view, remember it and re-render the list
+ * @param {Object} changes - Any of search, status, priority, due, subject and sort
+ */
+function setTaskView(changes) {
+    Object.assign(taskView, changes);
+
+    try {
+        localStorage.setItem(VIEW_KEY, JSON.stringify(taskView));
+    } catch (error) {
+        // The view still applies until the page is closed
+    }
+
+    updateTaskViewControls();
+    updateFullTaskList();
+}
+
+/**
+ * Show the current view in the Tasks page controls
+ */
+function updateTaskViewControls() {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.filter === taskView.status);
+    });
+
+    // Rewriting the search box while typing would move the cursor
+    const searchInput = document.getElementById('taskSearch');
+    if (searchInput.value !== taskView.search) searchInput.value = taskView.search;
+
+    document.getElementById('filterPriority').value = taskView.priority;
+    document.getElementById('filterDue').value = taskView.due;
+    document.getElementById('taskSort').value = taskView.sort;
+    document.getElementById('clearTaskView').hidden = !isTaskViewFiltered();
+    document.getElementById('fullTaskList').classList.toggle('manual-order', taskView.sort === 'manual');
+    updateSubjectFilters();
+}
+
+/**
+ * Clear the search and filters, keeping the status buttons and sort order
+ */
+function clearTaskView() {
+    setTaskView({ search: '', priority: 'all', due: 'all', subject: 'all' });
+}
+
+/**
+ * Set the current task filter
+ * @param {string} filter - Filter type (all/active/completed/trash)
+ */
+function setFilter(filter) {
+    setTaskView({ status: filter });
+}
+
+/**
+ * Move a task next to another in the saved task order, used by the "manual" sort
+ * @param {string} taskId - The task to move
+ * @param {string} targetId - The task to place it next to
+ * @param {boolean} placeAfter - Put it after the target instead of before
+ */
+function moveTaskInList(taskId, targetId, placeAfter = false) {
+    const from = appData.tasks.findIndex(t => t.id === taskId);
+    if (from === -1 || taskId === targetId || !appData.tasks.some(t => t.id === targetId)) return;
+
+    recordUndo('Reorder tasks');
+    const [task] = appData.tasks.splice(from, 1);
+    const to = appData.tasks.findIndex(t => t.id === targetId) + (placeAfter ? 1 : 0);
+    appData.tasks.splice(to, 0, task);
+    saveData();
+    updateUI();
+}
+
+// ============================================================
+// QUICK ADD FUNCTIONS
+// ============================================================
+
+const QUICK_ADD_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const QUICK_ADD_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Priority markers, keyed by what follows the first "!"
+const QUICK_ADD_PRIORITIES = {
+    high: 'high', h: 'high', '!!': 'high',
+    medium: 'medium', med: 'medium', m: 'medium', '!': 'medium',
+    low: 'low', l: 'low'
+};
+
+// Short day names that are also ordinary words, only read as dates after due/on/by/next
+const AMBIGUOUS_WEEKDAYS = ['sun', 'mon', 'wed', 'sat'];
+
+const WEEKDAY_PATTERN = 'sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat';
+const MONTH_PATTERN = 'january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec';
+const DATE_PREFIX = '(?:(?:due|on|by)\\s+)?';
+const WORD_END = '(?=[\\s.,;]|$)';
+
+// Put where a date, marker or tag was taken out, so punctuation left around it can be tidied
+const QUICK_ADD_GAP = '\u0000';
+
+/**
+ * Date phrases quick add understands, tried in order. Each pattern starts with
+ * the space (or start of text) before the phrase, which is kept in the title.
+ * `resolve` turns a match into a YYYY-MM-DD string, or null if it isn't a real date.
+ * `needsPrefix` marks matches that only count after due/on/by.
+ */
+const QUICK_ADD_DATES = [
+    {
+        // "in 3 days", "in a week", "in 2 months"
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}in\\s+(a|an|one|\\d{1,3})\\s+(days?|weeks?|months?)${WORD_END}`, 'gi'),
+        resolve: (match, { today }) => {
+            const count = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : 1;
+            const unit = match[3].toLowerCase();
+            if (unit.startsWith('month')) return addMonths(today, count);
+            return addDays(today, unit.startsWith('week') ? count * 7 : count);
+        }
+    },
+    {
+        // "2026-10-30"
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(\\d{4}-\\d{2}-\\d{2})${WORD_END}`, 'g'),
+        resolve: (match) => checkQuickAddDate(...match[2].split('-').map(Number))
+    },
+    {
+        // "oct 30", "October 30th, 2026"
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${WORD_END}`, 'gi'),
+        resolve: (match, { today }) => resolveMonthDay(match[2], match[3], match[4], today)
+    },
+    {
+        // "30 oct", "30th October 2026"
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\.?(?:,?\\s+(\\d{4}))?${WORD_END}`, 'gi'),
+        resolve: (match, { today }) => resolveMonthDay(match[3], match[2], match[4], today)
+    },
+    {
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)${WORD_END}`, 'gi'),
+        resolve: (match, { today }) => /^toni|^toda/i.test(match[2]) ? today : addDays(today, 1)
+    },
+    {
+        // "next week" is the first day of the following week
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}next\\s+week${WORD_END}`, 'gi'),
+        resolve: (match, { today, weekStartsOn }) => {
+            const daysBack = (getDayOfWeek(today) - weekStartsOn + 7) % 7;
+            return addDays(today, 7 - daysBack);
+        }
+    },
+    {
+        // "weekend" is the coming Saturday, or today if it already is the weekend
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(?:this\\s+)?weekend${WORD_END}`, 'gi'),
+        resolve: (match, { today }) => {
+            const day = getDayOfWeek(today);
+            return day === 0 ? today : addDays(today, 6 - day);
+        }
+    },
+    {
+        // "fri" is the coming Friday (today if it is Friday); "next fri" is Friday of next week
+        pattern: new RegExp(`(^|\\s)${DATE_PREFIX}(next\\s+)?(${WEEKDAY_PATTERN})${WORD_END}`, 'gi'),
+        needsPrefix: (match) => !match[2] && AMBIGUOUS_WEEKDAYS.includes(match[3].toLowerCase()),
+        resolve: (match, { today, weekStartsOn }) => {
+            const target = QUICK_ADD_DAYS.indexOf(match[3].slice(0, 3).toLowerCase());
+            if (!match[2]) return addDays(today, (target - getDayOfWeek(today) + 7) % 7);
+
+            const daysBack = (getDayOfWeek(today) - weekStartsOn + 7) % 7;
+            const nextWeekStart = addDays(today, 7 - daysBack);
+            return addDays(nextWeekStart, (target - weekStartsOn + 7) % 7);
+        }
+    }
+];
+
+/**
+ * Build a YYYY-MM-DD string, or null if the day doesn't exist (e.g., Feb 30)
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ */
+function checkQuickAddDate(year, month, day) {
+    const date = new Date(year, month - 1, day, 12);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return getDateString(date);
+}
+
+/**
+ * Resolve a month name and day. Without a year, a date already past this
+ * year means next year.
+ * @param {string} monthName - Month name or abbreviation
+ * @param {string} day - Day of the month
+ * @param {string} [year] - Four-digit year
+ * @param {string} today - Today in YYYY-MM-DD format
+ */
+function resolveMonthDay(monthName, day, year, today) {
+    const month = QUICK_ADD_MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+    if (year) return checkQuickAddDate(parseInt(year, 10), month, parseInt(day, 10));
+
+    const thisYear = parseInt(today.slice(0, 4), 10);
+    const date = checkQuickAddDate(thisYear, month, parseInt(day, 10));
+    return date && date < today ? checkQuickAddDate(thisYear + 1, month, parseInt(day, 10)) : date;
+}
+
+/**
+ * Parse quick-add text such as "Essay draft fri !high #english" or
+ * "Read ch. 4 in 3 days". Pulls out a date phrase at the end of the text (or
+ * anywhere after due/on/by, the last one winning), the last priority marker
+ * (!high, !h, !!!, !med, !!, !low, !l) and every #tag; the rest is the title.
+ * Doesn't touch the page or saved data, so it can be tested on its own
+ * (in Node: `require('./app.js').parseQuickAdd`).
+ * @param {string} text - What the user typed
+ * @param {Object} [options]
+ * @param {string} [options.today] - Today in YYYY-MM-DD format (defaults to the real today)
+ * @param {number} [options.weekStartsOn] - First day of the week, 0 = Sunday (defaults to Monday)
+ * @returns {{title: string, dueDate: string|null, priority: string|null, tags: string[]}}
+ */
+function parseQuickAdd(text, options = {}) {
+    const context = {
+        today: options.today || getTodayDateString(),
+        weekStartsOn: options.weekStartsOn ?? 1
+    };
+    const raw = String(text || '').replace(/\u0000/g, '').trim();
+    const tags = [];
+    let priority = null;
+    let dueDate = null;
+
+    let rest = raw.replace(/(^|\s)#([\p{L}\p{N}_-]+)(?=\s|$)/gu, (match, space, tag) => {
+        const name = tag.toLowerCase();
+        if (!tags.includes(name)) tags.push(name);
+        return space + QUICK_ADD_GAP;
+    });
+
+    rest = rest.replace(/(^|\s)!(high|h|medium|med|m|low|l|!!|!)(?=\s|$)/gi, (match, space, level) => {
+        priority = QUICK_ADD_PRIORITIES[level.toLowerCase()];
+        return space + QUICK_ADD_GAP;
+    });
+
+    // A date phrase mid-sentence is usually part of the title ("Watch Today show recap")
+    const hasPrefix = m => /^\s*(?:due|on|by)\s/i.test(m[0]);
+    const endsText = m => !rest.slice(m.index + m[0].length).replace(/[\s.,;\u0000]/g, '');
+
+    for (const { pattern, resolve, needsPrefix } of QUICK_ADD_DATES) {
+        const match = [...rest.matchAll(pattern)].reverse().find(m =>
+            (hasPrefix(m) || (endsText(m) && !needsPrefix?.(m))) && resolve(m, context));
+        if (match) {
+            dueDate = resolve(match, context);
+            rest = rest.slice(0, match.index) + match[1] + QUICK_ADD_GAP + rest.slice(match.index + match[0].length);
+            break;
+        }
+    }
+
+    const title = tidyQuickAddTitle(rest);
+
+    // Text that is nothing but a date or marker ("Friday") is taken as the title
+    if (!title) return { title: raw, dueDate: null, priority: null, tags: [] };
+
+    return { title, dueDate, priority, tags };
+}
+
+/**
+ * Drop the punctuation and spaces left where parts of quick-add text were taken
+ * out: "Review tomorrow." becomes "Review", "Essay, due fri, for english"
+ * becomes "Essay, for english"
+ * @param {string} text - Text with QUICK_ADD_GAP where parts were taken out
+ */
+function tidyQuickAddTitle(text) {
+    return text
+        .replace(/\s*(?:\u0000\s*)+/g, QUICK_ADD_GAP)
+        .replace(/^\u0000[\s.,;:!?\u2013\u2014-]*/, '')
+        .replace(/[\s,;:\u2013\u2014-]*\u0000[\s.,;:!?]*$/, '')
+        .replace(/([,;:])\u0000[.,;:]/g, '$1 ')
+        .replace(/\u0000(?=[.,;:!?])/g, '')
+        .replace(/\u0000/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse quick-add text with the user's week start
+ * @param {string} text - What the user typed
+ */
+function parseQuickAddInput(text) {
+    return parseQuickAdd(text, { weekStartsOn: getWeekStartDay() });
+}
+
+/**
+ * Show what quick-add text will create, under the field being typed in.
+ * Plain text with nothing to pull out shows no preview.
+ * @param {HTMLInputElement} input - The quick-add field
+ * @param {HTMLElement} preview - Where to show the result
+ * @param {string} defaultDate - Due date used when the text names none
+ */
+function updateQuickAddPreview(input, preview, defaultDate) {
+    const parsed = parseQuickAddInput(input.value);
+    if (!input.value.trim() || (!parsed.dueDate && !parsed.priority && parsed.tags.length === 0)) {
+        preview.innerHTML = '';
+        return;
+    }
+
+    const dueDate = parsed.dueDate || defaultDate;
+    const priority = parsed.priority || 'medium';
+    const { subject, tags } = splitSubjectTag(parsed.tags);
+    const parts = [
+        `<span class="preview-title">${escapeHtml(parsed.title)}</span>`,
+        dueDate ? `<span class="preview-date">${formatWithLocale(parseDateString(dueDate), { weekday: 'short', month: 'short', day: 'numeric' })}</span>` : '',
+        `<span class="task-priority ${priority}">${priority.charAt(0).toUpperCase() + priority.slice(1)}</span>`,
+        createSubjectChipHTML(subject),
+        ...tags.map(tag => `<span class="task-tag">#${escapeHtml(tag)}</span>`)
+    ];
+    preview.innerHTML = parts.join('');
+}
+
+/**
+ * Add a task from a quick-add field and clear it
+ * @param {HTMLInputElement} input - The quick-add field
+ * @param {string} defaultDate - Due date used when the text names none
+ */
+function addQuickTask(input, defaultDate) {
+    const parsed = parseQuickAddInput(input.value);
+    if (!parsed.title) return;
+
+    const { subject, tags } = splitSubjectTag(parsed.tags);
+    addTask(parsed.title, parsed.priority || 'medium', parsed.dueDate || defaultDate, null, null, {
+        tags: tags,
+        subjectId: subject?.id
+    });
+    input.value = '';
+}
+
+/**
+ * Create HTML for a task's #tags
+ * @param {Object} task - The task object
+ */
+function createTagsHTML(task) {
+    return (task.tags || []).map(tag => `<span class="task-tag">#${escapeHtml(tag)}</span>`).join('');
+}
+
+/**
+ * Read tags typed as "#english reading, essay" into a list like quick add makes
+ * @param {string} text - Tags separated by spaces or commas, with or without #
+ * @returns {string[]} Lower-case tags without duplicates
+ */
+function parseTagList(text) {
+    const tags = [];
+    text.split(/[\s,]+/).forEach(word => {
+        const tag = word.replace(/^#/, '').toLowerCase();
+        if (/^[\p{L}\p{N}_-]+$/u.test(tag) && !tags.includes(tag)) tags.push(tag);
+    });
+    return tags;
+}
+
+// ============================================================
+// SUBJECT FUNCTIONS
+// ============================================================
+
+// Colours offered to new subjects, in turn
+const SUBJECT_COLORS = ['#4a90d9', '#e67e22', '#27ae60', '#8e44ad', '#e74c3c', '#16a085', '#d4a017', '#7f8c8d'];
+
+// Subject waiting for the delete dialog's answer
+let deletingSubjectId = null;
+
+/**
+ * Find a subject by id
+ * @param {string} [subjectId] - The subject ID
+ */
+function getSubject(subjectId) {
+    return subjectId ? appData.subjects.find(subject => subject.id === subjectId) || null : null;
+}
+
+/**
+ * Get a subject's colour, falling back to grey for anything that isn't a #rrggbb value
+ * @param {Object} subject - The subject
+ */
+function getSubjectColor(subject) {
+    return /^#[0-9a-f]{6}$/i.test(subject.color) ? subject.color : '#7f8c8d';
+}
+
+/**
+ * Create HTML for a subject chip in the subject's colour
+ * @param {Object|null} subject - The subject (nothing is shown without one)
+ */
+function createSubjectChipHTML(subject) {
+    if (!subject) return '';
+    return `<span class="subject-chip" style="--subject-color: ${getSubjectColor(subject)}">${escapeHtml(subject.name)}</span>`;
+}
+
+/**
+ * Find the subject a quick-add #tag names. "#english" or "#computer-science"
+ * match subjects called "English" or "Computer Science".
+ * @param {string[]} tags - Tags from parseQuickAdd()
+ * @returns {{subject: Object|null, tags: string[]}} The first matching subject and the remaining tags
+ */
+function splitSubjectTag(tags) {
+    const toTag = name => name.trim().toLowerCase().replace(/\s+/g, '-');
+    let subject = null;
+
+    const rest = tags.filter(tag => {
+        const match = !subject && appData.subjects.find(s => toTag(s.name) === tag);
+        if (match) subject = match;
+        return !match;
+    });
+
+    return { subject, tags: rest };
+}
+
+/**
+ * Fill the subject dropdowns on the Tasks page and in the edit dialog,
+ * keeping what each had selected
+ */
+function updateSubjectSelects() {
+    const options = '<option value="">No subject</option>' + appData.subjects
+        .map(subject => `<option value="${escapeHtml(subject.id)}">${escapeHtml(subject.name)}</option>`)
+        .join('');
+
+    ['taskSubject', 'editTaskSubject'].forEach(id => {
+        const select = document.getElementById(id);
+        const selected = select.value;
+        select.innerHTML = options;
+        select.value = getSubject(selected) ? selected : '';
+        select.closest('[data-subject-field]').hidden = appData.subjects.length === 0;
+    });
+}
+
+/**
+ * Render the subject filter buttons on the Tasks page
+ */
+function updateSubjectFilters() {
+    const container = document.getElementById('subjectFilters');
+
+    // A deleted subject's filter falls back to all subjects
+    if (taskView.subject !== 'all' && taskView.subject !== 'none' && !getSubject(taskView.subject)) {
+        taskView.subject = 'all';
+    }
+
+    container.hidden = appData.subjects.length === 0;
+    const buttons = [
+        { value: 'all', label: 'All subjects' },
+        ...appData.subjects.map(subject => ({ value: subject.id, label: escapeHtml(subject.name), color: getSubjectColor(subject) })),
+        { value: 'none', label: 'No subject' }
+    ];
+
+    container.innerHTML = buttons.map(button => `
+        <button class="filter-btn ${taskView.subject === button.value ? 'active' : ''}"
+                data-subject="${escapeHtml(button.value)}" onclick="setSubjectFilter('${escapeJsString(button.value)}')"
+                aria-pressed="${taskView.subject === button.value}">
+            ${button.color ? `<span class="subject-dot" style="background-color: ${button.color}"></span>` : ''}${button.label}
+        </button>
+    `).join('');
+}
+
+/**
+ * Show only tasks of one subject on the Tasks page
+ * @param {string} subjectFilter - A subject ID, 'all' or 'none'
+ */
+function setSubjectFilter(subjectFilter) {
+    setTaskView({ subject: subjectFilter });
+}
+
+/**
+ * Render the subject list in Settings
+ */
+function updateSubjectList() {
+    const container = document.getElementById('subjectList');
+
+    if (appData.subjects.length === 0) {
+        container.innerHTML = '<div class="empty-state small">No subjects yet. Add your courses below.</div>';
+    } else {
+        container.innerHTML = appData.subjects.map(subject => {
+            const count = appData.tasks.filter(task => task.subjectId === subject.id).length;
+            return `
+                <div class="subject-item">
+                    <input type="color" class="subject-color" value="${getSubjectColor(subject)}"
+                           aria-label="Colour for ${escapeHtml(subject.name)}"
+                           onchange="updateSubject('${escapeJsString(subject.id)}', { color: this.value })">
+                    <input type="text" class="input subject-name" value="${escapeHtml(subject.name)}"
+                           aria-label="Subject name" onchange="updateSubject('${escapeJsString(subject.id)}', { name: this.value })">
+                    <span class="subject-count">${count} ${count === 1 ? 'task' : 'tasks'}</span>
+                    <button class="task-delete" onclick="requestDeleteSubject('${escapeJsString(subject.id)}')"
+                            aria-label="Delete ${escapeHtml(subject.name)}">&times;</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Suggest the next unused colour for the add form
+    const used = appData.subjects.map(subject => subject.color);
+    document.getElementById('newSubjectColor').value =
+        SUBJECT_COLORS.find(color => !used.includes(color)) || SUBJECT_COLORS[appData.subjects.length % SUBJECT_COLORS.length];
+}
+
+/**
+ * Add a subject from the Settings form
+ */
+function addSubject() {
+    const nameInput = document.getElementById('newSubjectName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+
+    appData.subjects.push({
+        id: generateId(),
+        name: name,
+        color: document.getElementById('newSubjectColor').value
+    });
+    nameInput.value = '';
+    saveData();
+    updateUI();
+}
+
+/**
+ * Rename or recolour a subject. An empty name keeps the old one.
+ * @param {string} subjectId - The subject ID
+ * @param {Object} changes - New `name` and/or `color`
+ */
+function updateSubject(subjectId, changes) {
+    const subject = getSubject(subjectId);
+    if (!subject) return;
+
+    if (changes.name !== undefined && changes.name.trim()) subject.name = changes.name.trim();
+    if (changes.color !== undefined && /^#[0-9a-f]{6}$/i.test(changes.color)) subject.color = changes.color;
+    saveData();
+    updateUI();
+}
+
+/**
+ * Start deleting a subject. A subject with tasks opens a dialog offering to
+ * move them to another subject first.
+ * @param {string} subjectId - The subject ID
+ */
+function requestDeleteSubject(subjectId) {
+    const subject = getSubject(subjectId);
+    if (!subject) return;
+
+    const count = appData.tasks.filter(task => task.subjectId === subjectId).length;
+    if (count === 0) {
+        if (confirm(`Delete the subject "${subject.name}"?`)) deleteSubject(subjectId, null);
+        return;
+    }
+
+    deletingSubjectId = subjectId;
+    document.getElementById('subjectDeleteText').textContent =
+        `"${subject.name}" has ${count} ${count === 1 ? 'task' : 'tasks'}. Move ${count === 1 ? 'it' : 'them'} to:`;
+    document.getElementById('subjectDeleteTarget').innerHTML = '<option value="">No subject</option>' + appData.subjects
+        .filter(other => other.id !== subjectId)
+        .map(other => `<option value="${escapeHtml(other.id)}">${escapeHtml(other.name)}</option>`)
+        .join('');
+    document.getElementById('subjectDeleteModal').hidden = false;
+    document.getElementById('subjectDeleteTarget').focus();
+}
+
+/**
+ * Close the delete-subject dialog without deleting
+ */
+function closeSubjectDelete() {
+    deletingSubjectId = null;
+    document.getElementById('subjectDeleteModal').hidden = true;
+}
+
+/**
+ * Delete the subject chosen in the dialog, moving its tasks to the chosen one
+ */
+function confirmSubjectDelete() {
+    const target = document.getElementById('subjectDeleteTarget').value || null;
+    deleteSubject(deletingSubjectId, target);
+    closeSubjectDelete();
+}
+
+/**
+ * Delete a subject, moving its tasks (including those in the Trash) to another
+ * @param {string} subjectId - The subject to delete
+ * @param {string|null} targetId - Subject to move its tasks to, or null for none
+ */
+function deleteSubject(subjectId, targetId) {
+    const subject = getSubject(subjectId);
+    if (!subject) return;
+
+    recordUndo('Delete subject');
+    const moved = [...appData.tasks, ...appData.trash.map(item => item.task)]
+        .filter(task => task.subjectId === subjectId);
+    moved.forEach(task => {
+        if (targetId) task.subjectId = targetId;
+        else delete task.subjectId;
+    });
+
+    appData.subjects = appData.subjects.filter(s => s.id !== subjectId);
+    saveData();
+    updateUI();
+
+    const target = getSubject(targetId);
+    showUndoToast(target && moved.length > 0
+        ? `Deleted "${subject.name}" and moved its tasks to "${target.name}"`
+        : `Deleted "${subject.name}"`);
+}
+
+// ============================================================
+// UNDO & TRASH FUNCTIONS
+// ============================================================
+
+const MAX_UNDO_STEPS = 50;
+const MAX_TOASTS = 4;
+const TOAST_DURATION = 6000;
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Parts of the data that undo covers, with how to find a record in each.
+ * The timetable is keyed by date; the rest are lists keyed by id.
+ */
+const UNDO_SCOPES = {
+    tasks: task => task.id,
+    trash: item => item.task.id,
+    subjects: subject => subject.id,
+    timetableTemplates: template => template.id,
+    timetable: null
+};
+
+let pendingUndo = null;
+
+/**
+ * Copy the data undo covers, keyed so records can be compared one by one
+ * @returns {Object} Map of scope to { records: Map of key to record, order: keys }
+ */
+function getUndoSnapshot() {
+    const snapshot = {};
+    Object.entries(UNDO_SCOPES).forEach(([scope, getKey]) => {
+        const data = JSON.parse(JSON.stringify(appData[scope] || (getKey ? [] : {})));
+        const entries = getKey ? data.map(item => [getKey(item), item]) : Object.entries(data);
+        snapshot[scope] = { records: new Map(entries), order: entries.map(([key]) => key) };
+    });
+    return snapshot;
+}
+
+/**
+ * Work out what a change did between two snapshots. Records in lists are
+ * compared field by field, so undo only puts back what the change touched
+ * and keeps anything changed since (e.g. pomodoros credited to a task).
+ * @returns {Object[]} Changes: { scope, key, fields } for changed records,
+ *   { scope, key, before, after, beforeIndex, afterIndex } for added, removed
+ *   or replaced ones, and { scope, order } when a list was reordered
+ */
+function diffUndoSnapshots(before, after) {
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    Object.keys(UNDO_SCOPES).forEach(scope => {
+        const was = before[scope];
+        const now = after[scope];
+        const isList = Boolean(UNDO_SCOPES[scope]);
+
+        new Set([...was.order, ...now.order]).forEach(key => {
+            const oldRecord = was.records.get(key);
+            const newRecord = now.records.get(key);
+            if (same(oldRecord, newRecord)) return;
+
+            if (!isList || !oldRecord || !newRecord) {
+                changes.push({
+                    scope: scope,
+                    key: key,
+                    before: oldRecord,
+                    after: newRecord,
+                    beforeIndex: was.order.indexOf(key),
+                    afterIndex: now.order.indexOf(key)
+                });
+                return;
+            }
+
+            const fields = {};
+            new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]).forEach(field => {
+                if (!same(oldRecord[field], newRecord[field])) {
+                    fields[field] = { before: oldRecord[field], after: newRecord[field] };
+                }
+            });
+            changes.push({ scope: scope, key: key, fields: fields });
+        });
+
+        const kept = key => was.records.has(key) && now.records.has(key);
+        if (isList && !same(was.order.filter(kept), now.order.filter(kept))) {
+            changes.push({ scope: scope, order: { before: was.order, after: now.order } });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Set the records and fields an undo step changed to how they were on one side of it
+ * @param {Object[]} changes - From diffUndoSnapshots()
+ * @param {string} side - 'before' to undo, 'after' to redo
+ */
+function applyUndoChanges(changes, side) {
+    const copy = value => JSON.parse(JSON.stringify(value));
+
+    changes.forEach(change => {
+        const getKey = UNDO_SCOPES[change.scope];
+
+        if (!getKey) {
+            if (change[side] === undefined) {
+                delete appData[change.scope][change.key];
+            } else {
+                appData[change.scope][change.key] = copy(change[side]);
+            }
+            return;
+        }
+
+        const list = appData[change.scope];
+        if (change.order) {
+            const position = new Map(change.order[side].map((key, i) => [key, i]));
+            const rank = item => position.has(getKey(item)) ? position.get(getKey(item)) : list.length;
+            list.sort((a, b) => rank(a) - rank(b));
+            return;
+        }
+
+        const index = list.findIndex(item => getKey(item) === change.key);
+        if (change.fields) {
+            if (index === -1) return;
+            Object.entries(change.fields).forEach(([field, values]) => {
+                if (values[side] === undefined) {
+                    delete list[index][field];
+                } else {
+                    list[index][field] = copy(values[side]);
+                }
+            });
+        } else if (change[side] === undefined) {
+            if (index !== -1) list.splice(index, 1);
+        } else if (index === -1) {
+            list.splice(Math.min(change[`${side}Index`], list.length), 0, copy(change[side]));
+        } else {
+            list[index] = copy(change[side]);
+        }
+    });
+
+    // Don't leave the timer focused on a task that no longer exists
+    if (appData.timer.taskId && !appData.tasks.some(t => t.id === appData.timer.taskId)) {
+        appData.timer.taskId = null;
+    }
+}
+
+/**
+ * Remember the data as it is right before a change. Call this at the start of
+ * every function that changes tasks, the Trash, subjects or the timetable in a
+ * way the user may want to undo; the step is recorded once that code has run.
+ * @param {string} label - Short description of the change (e.g., "Delete task")
+ */
+function recordUndo(label) {
+    finishUndoStep();
+    pendingUndo = { label: label, before: getUndoSnapshot() };
+    Promise.resolve().then(finishUndoStep);
+}
+
+/**
+ * Turn the change started by recordUndo() into an undo step
+ */
+function finishUndoStep() {
+    if (!pendingUndo) return;
+
+    const { label, before } = pendingUndo;
+    pendingUndo = null;
+
+    const changes = diffUndoSnapshots(before, getUndoSnapshot());
+    if (changes.length === 0) return;
+
+    undoStack.push({ label: label, changes: changes });
+    if (undoStack.length > MAX_UNDO_STEPS) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+}
+
+/**
+ * Undo the most recent change
+ */
+function undo() {
+    finishUndoStep();
+    const entry = undoStack.pop();
+    if (!entry) return;
+
+    applyUndoChanges(entry.changes, 'before');
+    redoStack.push(entry);
+    saveData();
+    updateUI();
+    showToast(`Undone: ${entry.label}`, { label: 'Redo', handler: redo }, TOAST_DURATION, 'undo');
+}
+
+/**
+ * Redo the most recently undone change
+ */
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+
+    applyUndoChanges(entry.changes, 'after');
+    undoStack.push(entry);
+    saveData();
+    updateUI();
+    showToast(`Redone: ${entry.label}`, { label: 'Undo', handler: undo }, TOAST_DURATION, 'undo');
+}
+
+/**
+ * Show a short message at the bottom of the screen, with an optional action button.
+ * Toasts stack, newest at the bottom, and wait their turn once MAX_TOASTS are
+ * showing. A toast in the same group as an earlier one replaces it (e.g. only
+ * the latest undo is offered).
+ * @param {string} message - Text to show
+ * @param {{label: string, handler: Function}|null} action - Optional button
+ * @param {number} duration - How long to show it, in ms
+ * @param {string|null} group - Group that replaces earlier toasts in it
+ */
+function showToast(message, action = null, duration = TOAST_DURATION, group = null) {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.setAttribute('role', 'status');
+    if (group) toast.dataset.group = group;
+
+    toast.innerHTML = `
+        <span class="toast-message">${escapeHtml(message)}</span>
+        ${action ? `<button class="toast-action">${escapeHtml(action.label)}</button>` : ''}
+        <button class="toast-close" aria-label="Dismiss">&times;</button>
+    `;
+
+    if (action) {
+        toast.querySelector('.toast-action').addEventListener('click', () => {
+            hideToast(toast);
+            action.handler();
+        });
+    }
+    toast.querySelector('.toast-close').addEventListener('click', () => hideToast(toast));
+
+    const previous = group
+        ? [...container.children, ...toastQueue.map(item => item.toast)].find(el => el.dataset.group === group)
+        : null;
+    if (previous) hideToast(previous);
+
+    if (container.children.length >= MAX_TOASTS) {
+        toastQueue.push({ toast: toast, duration: duration });
+    } else {
+        displayToast(toast, duration);
+    }
+}
+
+/**
+ * Put a toast on screen and start its timer
+ * @param {HTMLElement} toast - The toast element
+ * @param {number} duration - How long to show it, in ms
+ */
+function displayToast(toast, duration) {
+    document.getElementById('toastContainer').appendChild(toast);
+    toastTimeouts.set(toast, setTimeout(() => hideToast(toast), duration));
+}
+
+/**
+ * Show a toast offering to undo the change that was just made
+ * @param {string} message - Description of the change
+ */
+function showUndoToast(message) {
+    showToast(message, { label: 'Undo', handler: undo }, TOAST_DURATION, 'undo');
+}
+
+/**
+ * Hide a toast
+ * @param {HTMLElement} toast - The toast element
+ */
+function hideToast(toast) {
+    clearTimeout(toastTimeouts.get(toast));
+    toastTimeouts.delete(toast);
+
+    const queued = toastQueue.findIndex(item => item.toast === toast);
+    if (queued !== -1) {
+        toastQueue.splice(queued, 1);
+        return;
+    }
+
+    toast.remove();
+    const next = toastQueue.shift();
+    if (next) displayToast(next.toast, next.duration);
+}
+
+/**
+ * Move a task from the Trash back into the task list
+ * @param {string} taskId - The task ID to restore
+ */
+function restoreTask(taskId) {
+    const entry = appData.trash.find(item => item.task.id === taskId);
+    if (!entry) return;
+
+    recordUndo('Restore task');
+    appData.trash = appData.trash.filter(item => item !== entry);
+    appData.tasks.push(entry.task);
+    saveData();
+    updateUI();
+    showUndoToast(`Restored "${entry.task.title}"`);
+}
+
+/**
+ * Delete a task from the Trash for good
+ * @param {string} taskId - The task ID to purge
+ */
+function purgeTask(taskId) {
+    const entry = appData.trash.find(item => item.task.id === taskId);
+    if (!entry) return;
+
+    recordUndo('Delete forever');
+    appData.trash = appData.trash.filter(item => item !== entry);
+    saveData();
+    updateUI();
+    showUndoToast(`Deleted "${entry.task.title}" forever`);
+}
+
+/**
+ * Delete everything in the Trash for good
+ */
+function emptyTrash() {
+    if (appData.trash.length === 0) return;
+
+    recordUndo('Empty Trash');
+    appData.trash = [];
+    saveData();
+    updateUI();
+    showUndoToast('Emptied Trash');
+}
+
+/**
+ * Permanently remove Trash items older than the retention period
+ */
+function purgeExpiredTrash() {
+    const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = appData.trash.filter(item => new Date(item.deletedAt).getTime() >= cutoff);
+
+    if (kept.length !== appData.trash.length) {
+        appData.trash = kept;
+        saveData();
+    }
+}
+
+/**
+ * Show how many items are in the Trash on its filter button
+ */
+function updateTrashCount() {
+    const count = appData.trash.length;
+    document.getElementById('trashCount').textContent = count > 0 ? count : '';
+}
+
+/**
+ * Render the Trash view in the full task list
+ * @param {HTMLElement} container - The task list element
+ */
+function updateTrashList(container) {
+    if (appData.trash.length === 0) {
+        container.innerHTML = '<div class="empty-state">Trash is empty.</div>';
+        return;
+    }
+
+    const now = Date.now();
+    const items = [...appData.trash]
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(item => {
+            const deletedAt = new Date(item.deletedAt);
+            const ageDays = Math.floor((now - deletedAt.getTime()) / (24 * 60 * 60 * 1000));
+            const daysLeft = Math.max(0, TRASH_RETENTION_DAYS - ageDays);
+
+            return `
+                <div class="task-item trashed" data-id="${escapeHtml(item.task.id)}">
+                    <span class="task-title">${escapeHtml(item.task.title)}</span>
+                    <span class="task-due">Deleted ${formatDate(getDateString(deletedAt))} · ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left</span>
+                    <button class="btn btn-secondary btn-small" onclick="restoreTask('${escapeJsString(item.task.id)}')">Restore</button>
+                    <button class="task-delete" onclick="purgeTask('${escapeJsString(item.task.id)}')" aria-label="Delete forever" title="Delete forever">&times;</button>
+                </div>
+            `;
+        }).join('');
+
+    container.innerHTML = `
+        <div class="trash-header">
+            <span>Deleted tasks are removed for good after ${TRASH_RETENTION_DAYS} days.</span>
+            <button class="btn btn-secondary btn-small" onclick="emptyTrash()">Empty Trash</button>
+        </div>
+        ${items}
+    `;
+}
+
+// ============================================================
+// RECURRING TASK FUNCTIONS
+// ============================================================
+
+/**
+ * Put the Tasks page's repeat-day checkboxes in week order and label them
+ * in the display locale. Boxes are only moved when out of order, so a
+ * checkbox being clicked keeps focus.
+ */
+function updateRepeatDayPicker() {
+    const picker = document.getElementById('repeatDays');
+
+    getWeekdayOrder().forEach((day, index) => {
+        const option = picker.querySelector(`input[value="${day}"]`).closest('.weekday-option');
+        option.querySelector('span').textContent = getWeekdayName(day, 'short');
+        if (picker.children[index] !== option) picker.appendChild(option);
+    });
+}
+
+/**
+ * Check whether a date matches a task's repeat rule.
+ * Rules look like { type, interval, days, endDate } where type is
+ * daily, weekdays, weekly (on `days`, 0 = Sunday) or interval (every `interval` days).
+ * The series starts on the task's dueDate; days in its skippedDates are left out.
+ * @param {Object} task - A task with a recurrence rule
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function matchesRecurrence(task, dateString) {
+    const rule = task.recurrence;
+    if (dateString < task.dueDate) return false;
+    if (rule.endDate && dateString > rule.endDate) return false;
+    if ((task.skippedDates || []).includes(dateString)) return false;
+
+    const dayOfWeek = getDayOfWeek(dateString);
+
+    switch (rule.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return dayOfWeek >= 1 && dayOfWeek <= 5;
+        case 'weekly': {
+            const days = rule.days?.length ? rule.days : [getDayOfWeek(task.dueDate)];
+            return days.includes(dayOfWeek);
+        }
+        case 'interval':
+            return getDaysBetween(task.dueDate, dateString) % (rule.interval || 1) === 0;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check whether a task falls on a date (one-off or recurring)
+ */
+function isTaskOnDate(task, dateString) {
+    return task.recurrence ? matchesRecurrence(task, dateString) : task.dueDate === dateString;
+}
+
+/**
+ * Get a single day's view of a task.
+ * Recurring tasks become an instance carrying that day's due date and completion.
+ * @param {Object} task - The task object
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function getTaskInstance(task, dateString) {
+    if (!task.recurrence) return task;
+
+    return {
+        ...task,
+        dueDate: dateString,
+        completed: (task.completedDates || []).includes(dateString),
+        instanceDate: dateString
+    };
+}
+
+/**
+ * Find the nearest date a recurring task occurs on, searching up to a year
+ * @param {Object} task - A task with a recurrence rule
+ * @param {string} fromDate - Date to start searching from (inclusive)
+ * @param {number} step - 1 to search forwards, -1 to search backwards
+ * @param {Function} [accept] - Extra condition a date must meet
+ */
+function findOccurrence(task, fromDate, step, accept = () => true) {
+    let date = step > 0 && fromDate < task.dueDate ? task.dueDate : fromDate;
+
+    for (let i = 0; i <= 366; i++) {
+        if (matchesRecurrence(task, date) && accept(date)) return date;
+        date = addDays(date, step);
+    }
+    return null;
+}
+
+/**
+ * Get the entry shown for a recurring task in the full task list:
+ * its next open instance from today, or its last instance once the series is over
+ * @param {Object} task - A task with a recurrence rule
+ */
+function getSeriesListEntry(task) {
+    const today = getTodayDateString();
+    const completedDates = task.completedDates || [];
+    const next = findOccurrence(task, today, 1, date => !completedDates.includes(date));
+    if (next) return getTaskInstance(task, next);
+
+    const last = findOccurrence(task, task.recurrence.endDate || today, -1);
+    return getTaskInstance(task, last || task.dueDate);
+}
+
+/**
+ * Describe a repeat rule for display (e.g., "Weekly on Mon, Wed")
+ * @param {Object} rule - The recurrence rule
+ */
+function formatRecurrence(rule) {
+    let label;
+    switch (rule.type) {
+        case 'daily':
+            label = 'Daily';
+            break;
+        case 'weekdays':
+            label = 'Weekdays';
+            break;
+        case 'weekly':
+            label = rule.days?.length
+                ? `Weekly on ${getWeekdayOrder().filter(d => rule.days.includes(d)).map(d => getWeekdayName(d, 'short')).join(', ')}`
+                : 'Weekly';
+            break;
+        case 'interval':
+            label = `Every ${rule.interval} days`;
+            break;
+        default:
+            label = 'Repeats';
+    }
+    return rule.endDate ? `${label} until ${formatDate(rule.endDate)}` : label;
+}
+
+/**
+ * Read the repeat rule from the Tasks page form
+ * @returns {Object|null} The rule, or null if the task doesn't repeat
+ */
+function getRecurrenceFromForm() {
+    const type = document.getElementById('taskRepeat').value;
+    if (type === 'none') return null;
+
+    const rule = {
+        type: type,
+        endDate: document.getElementById('repeatUntil').value || null
+    };
+
+    if (type === 'weekly') {
+        rule.days = [...document.querySelectorAll('#repeatDays input:checked')]
+            .map(input => parseInt(input.value, 10));
+    }
+
+    if (type === 'interval') {
+        const interval = parseInt(document.getElementById('repeatInterval').value, 10);
+        rule.interval = Math.min(365, Math.max(2, interval || 2));
+    }
+
+    return rule;
+}
+
+/**
+ * Show only the repeat controls that apply to the chosen rule type
+ */
+function updateRecurrenceOptions() {
+    const type = document.getElementById('taskRepeat').value;
+
+    document.getElementById('recurrenceOptions').hidden = type === 'none';
+    document.getElementById('repeatDays').hidden = type !== 'weekly';
+    document.getElementById('repeatIntervalOption').hidden = type !== 'interval';
+}
+
+/**
+ * Clear the repeat controls after a task is added
+ */
+function resetRecurrenceForm() {
+    document.getElementById('taskRepeat').value = 'none';
+    document.getElementById('repeatUntil').value = '';
+    document.getElementById('repeatInterval').value = 2;
+    document.querySelectorAll('#repeatDays input').forEach(input => {
+        input.checked = false;
+    });
+    updateRecurrenceOptions();
+}
+
+// ============================================================
+// TIMETABLE FUNCTIONS
+// ============================================================
+
+const SLOT_SIZES = [15, 30, 60];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Render the timetable for the selected date.
+ * Blocks take up as many slots as they last; free time is shown as empty
+ * slots of the chosen size. A day without its own plan shows the
+ * template for its weekday.
+ */
+function updateTimetable() {
+    const container = document.getElementById('timetableContainer');
+    const { dayStart, dayEnd, slot } = getTimetableRange();
+    const blocks = getTimetableForDate(timetableDate)
+        .filter(block => block.end > dayStart && block.start < dayEnd)
+        .sort((a, b) => a.start - b.start);
+    const rows = [];
+    let time = dayStart;
+
+    // Empty slots from `time` up to `until`, split on the slot grid
+    const addEmptySlots = (until) => {
+        while (time < until) {
+            const next = Math.min(Math.ceil((time + 1) / slot) * slot, until);
+            rows.push(createEmptySlotHTML(time, next, slot));
+            time = next;
+        }
+    };
+
+    blocks.forEach(block => {
+        addEmptySlots(Math.max(block.start, dayStart));
+        rows.push(createTimeBlockHTML(block, slot, timetableDate));
+        time = Math.max(time, Math.min(block.end, dayEnd));
+    });
+    addEmptySlots(dayEnd);
+
+    container.innerHTML = rows.join('');
+    updateNowLine();
+
+    document.getElementById('timetableSubtitle').textContent =
+        `Plan each day from ${formatTimeLabel(dayStart)} to ${formatTimeLabel(dayEnd)}`;
+    document.getElementById('timetableDate').value = timetableDate;
+    document.getElementById('timetableDateLabel').textContent = getFullDateString(timetableDate);
+    document.getElementById('timetableTemplateSelect').innerHTML = appData.timetableTemplates.length
+        ? appData.timetableTemplates.map(template => `
+            <option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>
+        `).join('')
+        : '<option value="">No templates yet</option>';
+    document.getElementById('applyTemplateBtn').disabled = appData.timetableTemplates.length === 0;
+
+    updateTimetableSource();
+    updateTimetableTemplates();
+}
+
+/**
+ * Create HTML for a free slot. Typing in it creates a block for the slot.
+ * @param {number} start - Minutes after midnight
+ * @param {number} end - Minutes after midnight
+ * @param {number} slot - Slot size in minutes
+ */
+function createEmptySlotHTML(start, end, slot) {
+    return `
+        <div class="time-block" data-start="${start}" data-end="${end}" style="--span: ${(end - start) / slot}">
+            <div class="time-label">${formatTimeLabel(start)}</div>
+            <input type="text" class="time-input" 
+                   placeholder="What's planned?"
+                   aria-label="Plan for ${formatTimeLabel(start)}"
+                   oninput="saveTimetableSlot(this, ${start}, ${end})"
+                   onchange="updateTimetable()">
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for a planned block, with its start and end times.
+ * A block linked to a task shows the task's title, priority and a
+ * checkbox; it's crossed out once the task is done.
+ * @param {Object} block - Block { id, start, end, text, taskId }
+ * @param {number} slot - Slot size in minutes
+ * @param {string} dateString - The date being shown
+ */
+function createTimeBlockHTML(block, slot, dateString) {
+    const span = Math.max(1, (block.end - block.start) / slot);
+    const task = getBlockTask(block);
+    const timeRange = `${formatTimeLabel(block.start)} to ${formatTimeLabel(block.end)}`;
+    let content;
+
+    if (task) {
+        const done = isTaskDoneOn(task, dateString);
+        const priority = task.priority || 'medium';
+        const instanceArg = task.recurrence ? `, '${dateString}'` : '';
+        content = `
+            <div class="linked-task ${done ? 'done' : ''}">
+                <input type="checkbox" class="task-checkbox block-focus" ${done ? 'checked' : ''}
+                       aria-label="Complete ${escapeHtml(task.title)}" onchange="toggleTask('${escapeJsString(task.id)}'${instanceArg})">
+                <span class="linked-title">${escapeHtml(task.title)}</span>
+                ${createSubjectChipHTML(getSubject(task.subjectId))}
+                <span class="task-priority ${priority}">${priority.charAt(0).toUpperCase() + priority.slice(1)}</span>
+            </div>
+        `;
+    } else {
+        content = `
+            <input type="text" class="time-input block-focus"
+                   value="${escapeHtml(block.text)}"
+                   aria-label="Plan for ${timeRange}"
+                   oninput="updateTimetableBlock('${escapeJsString(block.id)}', { text: this.value })"
+                   onchange="finishTimetableBlockEdit('${escapeJsString(block.id)}')">
+        `;
+    }
+
+    return `
+        <div class="time-block planned ${task ? 'linked' : ''}" data-block-id="${escapeHtml(block.id)}" data-start="${block.start}" data-end="${block.end}" style="--span: ${span}">
+            <div class="time-label" draggable="true" ondragstart="startBlockDrag(event, '${escapeJsString(block.id)}')" ondragend="endDrag()"
+                 title="Drag to move, or press Alt+↑/↓ while editing">
+                <span>${formatTimeLabel(block.start)}</span>
+                <span class="time-label-end">${formatTimeLabel(block.end)}</span>
+            </div>
+            <div class="block-body">
+                ${content}
+                <div class="block-times">
+                    <input type="time" class="block-time" step="${slot * 60}" value="${formatTimeValue(block.start)}"
+                           aria-label="Starts at" onchange="setTimetableBlockTime('${escapeJsString(block.id)}', 'start', this.value)">
+                    <span>–</span>
+                    <input type="time" class="block-time" step="${slot * 60}" value="${formatTimeValue(block.end)}"
+                           aria-label="Ends at" onchange="setTimetableBlockTime('${escapeJsString(block.id)}', 'end', this.value)">
+                </div>
+            </div>
+            <button class="block-delete" onclick="deleteTimetableBlock('${escapeJsString(block.id)}')" aria-label="Clear block">&times;</button>
+        </div>
+    `;
+}
+
+/**
+ * Get the visible part of the day and the slot size from settings
+ * @returns {{dayStart: number, dayEnd: number, slot: number}} Minutes after midnight, and slot minutes
+ */
+function getTimetableRange() {
+    const settings = appData.settings;
+    return {
+        dayStart: settings.timetableStartHour * 60,
+        dayEnd: settings.timetableEndHour * 60,
+        slot: SLOT_SIZES.includes(settings.slotMinutes) ? settings.slotMinutes : 60
+    };
+}
+
+/**
+ * Highlight the slot or block happening now on today's timetable, with a
+ * line showing how far through it we are
+ */
+function updateNowLine() {
+    const isToday = timetableDate === getTodayDateString();
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+
+    document.querySelectorAll('#timetableContainer .time-block').forEach(row => {
+        const start = parseInt(row.dataset.start, 10);
+        const end = parseInt(row.dataset.end, 10);
+        const isCurrent = isToday && minutes >= start && minutes < end;
+
+        row.classList.toggle('current', isCurrent);
+        if (isCurrent) {
+            row.style.setProperty('--now', `${((minutes - start) / (end - start)) * 100}%`);
+        }
+    });
+}
+
+/**
+ * Show whether the selected day follows a template or has its own plan
+ */
+function updateTimetableSource() {
+    const template = getTimetableTemplateForDate(timetableDate);
+    const dayName = getWeekdayName(getDayOfWeek(timetableDate));
+    let text;
+
+    if (appData.timetable[timetableDate]) {
+        text = 'Planned for this day';
+    } else if (template) {
+        text = `Using the "${template.name}" template`;
+    } else {
+        text = `No template for ${dayName}s`;
+    }
+
+    document.getElementById('timetableSource').textContent = text;
+    // Only a day with its own plan can go back to its template
+    document.getElementById('resetDayBtn').hidden = !(appData.timetable[timetableDate] && template);
+}
+
+/**
+ * Format minutes after midnight for an <input type="time"> (e.g., "14:30")
+ */
+function formatTimeValue(totalMinutes) {
+    const clamped = Math.min(totalMinutes, MINUTES_PER_DAY - 1);
+    return `${Math.floor(clamped / 60).toString().padStart(2, '0')}:${(clamped % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Read an <input type="time"> value as minutes after midnight
+ */
+function parseTimeValue(value) {
+    const match = /^(\d{2}):(\d{2})/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Get the template that applies to a date's weekday, if any
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function getTimetableTemplateForDate(dateString) {
+    const dayOfWeek = getDayOfWeek(dateString);
+    return appData.timetableTemplates.find(template => template.days.includes(dayOfWeek)) || null;
+}
+
+/**
+ * Get the task a block is linked to, if it still exists
+ * @param {Object} block - Timetable block
+ */
+function getBlockTask(block) {
+    return block.taskId ? appData.tasks.find(t => t.id === block.taskId) || null : null;
+}
+
+/**
+ * Get the text to show for a block: its linked task's title, or its own text
+ * @param {Object} block - Timetable block
+ */
+function getBlockTitle(block) {
+    return getBlockTask(block)?.title || block.text;
+}
+
+/**
+ * Check whether a task is done on a date (the instance, for recurring tasks)
+ * @param {Object} task - The task
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function isTaskDoneOn(task, dateString) {
+    return task.recurrence ? (task.completedDates || []).includes(dateString) : task.completed;
+}
+
+/**
+ * Get a date's timetable: its own plan, or else its weekday template
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {Object[]} Blocks { id, start, end, text } with times in minutes after midnight
+ */
+function getTimetableForDate(dateString) {
+    return appData.timetable[dateString] || getTimetableTemplateForDate(dateString)?.blocks || [];
+}
+
+/**
+ * Copy a list of blocks so a day or template can change them on its own
+ */
+function copyTimetableBlocks(blocks) {
+    return blocks.map(block => ({ ...block }));
+}
+
+/**
+ * Copy blocks for a template. Templates repeat every week, so links to
+ * one-off tasks become plain text.
+ */
+function copyBlocksForTemplate(blocks) {
+    return blocks.map(({ taskId, ...block }) => ({ ...block, text: getBlockTitle({ taskId, ...block }) }));
+}
+
+/**
+ * Get a date's own plan for editing, starting it from the weekday
+ * template the first time the day is changed
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function getOwnDayPlan(dateString) {
+    if (!appData.timetable[dateString]) {
+        appData.timetable[dateString] = copyTimetableBlocks(getTimetableForDate(dateString));
+    }
+    return appData.timetable[dateString];
+}
+
+/**
+ * Save what's typed into a free slot, creating its block on the first keystroke
+ * @param {HTMLInputElement} input - The slot's input
+ * @param {number} start - Minutes after midnight
+ * @param {number} end - Minutes after midnight
+ */
+function saveTimetableSlot(input, start, end) {
+    const plan = getOwnDayPlan(timetableDate);
+    let block = plan.find(b => b.id === input.dataset.blockId);
+
+    if (!block) {
+        block = { id: generateId(), start: start, end: end, text: '' };
+        plan.push(block);
+        input.dataset.blockId = block.id;
+    }
+
+    block.text = input.value;
+    saveData();
+    updateTimetableSource();
+}
+
+/**
+ * Change a block on the selected date
+ * @param {string} blockId - Block ID
+ * @param {Object} changes - Fields to change
+ */
+function updateTimetableBlock(blockId, changes) {
+    const block = getOwnDayPlan(timetableDate).find(b => b.id === blockId);
+    if (!block) return;
+
+    Object.assign(block, changes);
+    saveData();
+    updateTimetableSource();
+}
+
+/**
+ * Remove a block whose text was cleared once editing is done
+ * @param {string} blockId - Block ID
+ */
+function finishTimetableBlockEdit(blockId) {
+    const block = getOwnDayPlan(timetableDate).find(b => b.id === blockId);
+    if (block && !block.text.trim()) {
+        deleteTimetableBlock(blockId);
+    }
+}
+
+/**
+ * Move a block's start or end time. The block is kept at least one slot
+ * long and stops where its neighbours begin and end.
+ * @param {string} blockId - Block ID
+ * @param {string} edge - 'start' or 'end'
+ * @param {string} value - Time from an <input type="time">
+ */
+function setTimetableBlockTime(blockId, edge, value) {
+    recordUndo('Change block time');
+    const plan = getOwnDayPlan(timetableDate);
+    const block = plan.find(b => b.id === blockId);
+    let minutes = parseTimeValue(value);
+    if (!block || minutes === null) {
+        updateTimetable();
+        return;
+    }
+
+    const { slot } = getTimetableRange();
+    // 00:00 as an end time means midnight at the end of the day
+    if (edge === 'end' && minutes === 0) minutes = MINUTES_PER_DAY;
+
+    const others = plan.filter(b => b.id !== blockId);
+    if (edge === 'start') {
+        const previousEnd = Math.max(0, ...others.filter(b => b.start < block.start).map(b => b.end));
+        block.start = Math.min(Math.max(minutes, previousEnd), block.end - slot);
+    } else {
+        const nextStart = Math.min(MINUTES_PER_DAY, ...others.filter(b => b.start >= block.end).map(b => b.start));
+        block.end = Math.max(Math.min(minutes, nextStart), block.start + slot);
+    }
+
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Remove a block from the selected date
+ * @param {string} blockId - Block ID
+ */
+function deleteTimetableBlock(blockId) {
+    recordUndo('Clear block');
+    const plan = getOwnDayPlan(timetableDate);
+    appData.timetable[timetableDate] = plan.filter(b => b.id !== blockId);
+    saveData();
+    updateTimetable();
+    showUndoToast('Cleared block');
+}
+
+/**
+ * Schedule a task on the selected date as a block starting at a time.
+ * The block lasts as long as the task's pomodoro estimate (or one slot),
+ * stopping short of the next block or the end of the day.
+ * @param {string} taskId - Task ID
+ * @param {number} start - Minutes after midnight
+ */
+function scheduleTask(taskId, start) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    const { dayEnd, slot } = getTimetableRange();
+    const plan = getOwnDayPlan(timetableDate);
+    const estimate = (task.estimatedPomodoros || 0) * appData.settings.focusMinutes;
+    const length = Math.max(slot, Math.ceil(estimate / slot) * slot);
+    const nextStart = Math.min(dayEnd, ...plan.filter(b => b.start >= start).map(b => b.start));
+    const end = Math.min(start + length, nextStart);
+    if (end <= start) return;
+
+    recordUndo('Schedule task');
+    plan.push({ id: generateId(), start: start, end: end, text: task.title, taskId: task.id });
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Link an existing block to a task
+ * @param {string} blockId - Block ID
+ * @param {string} taskId - Task ID
+ */
+function linkBlockToTask(blockId, taskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    const block = getOwnDayPlan(timetableDate).find(b => b.id === blockId);
+    if (!task || !block) return;
+
+    recordUndo('Link block');
+    block.taskId = task.id;
+    block.text = task.title;
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Check whether a time range is free of other blocks
+ * @param {Object[]} plan - The day's blocks
+ * @param {number} start - Minutes after midnight
+ * @param {number} end - Minutes after midnight
+ * @param {string} ignoreId - Block to leave out (the one being moved)
+ */
+function isTimeRangeFree(plan, start, end, ignoreId) {
+    return plan.every(b => b.id === ignoreId || b.end <= start || b.start >= end);
+}
+
+/**
+ * Move a block so it starts at a new time, keeping its length
+ * @param {string} blockId - Block ID
+ * @param {number} start - New start in minutes after midnight
+ * @returns {boolean} Whether the block moved (it won't overlap another block)
+ */
+function moveTimetableBlockTo(blockId, start) {
+    recordUndo('Move block');
+    const plan = getOwnDayPlan(timetableDate);
+    const block = plan.find(b => b.id === blockId);
+    if (!block) return false;
+
+    const length = block.end - block.start;
+    const end = start + length;
+    if (start < 0 || end > MINUTES_PER_DAY || !isTimeRangeFree(plan, start, end, blockId)) return false;
+
+    block.start = start;
+    block.end = end;
+    saveData();
+    updateTimetable();
+    return true;
+}
+
+/**
+ * Move a block one slot earlier or later from the keyboard, keeping focus on it
+ * @param {string} blockId - Block ID
+ * @param {number} direction - -1 for earlier, 1 for later
+ */
+function nudgeTimetableBlock(blockId, direction) {
+    const block = getTimetableForDate(timetableDate).find(b => b.id === blockId);
+    if (!block) return;
+
+    const { slot } = getTimetableRange();
+    if (moveTimetableBlockTo(blockId, block.start + direction * slot)) {
+        document.querySelector(`.time-block[data-block-id="${CSS.escape(blockId)}"] .block-focus`)?.focus();
+    }
+}
+
+/**
+ * Offer to complete the tasks of linked blocks on today's plan that have
+ * just ended. Called every minute; each block is offered once.
+ */
+function checkFinishedBlocks() {
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const today = getTodayDateString();
+    const since = lastBlockCheck;
+    lastBlockCheck = { date: today, minutes: minutes };
+
+    // Nothing to compare against on the first check, or after midnight
+    if (!since || since.date !== today) return;
+
+    (appData.timetable[today] || []).forEach(block => {
+        const task = getBlockTask(block);
+        if (!task || isTaskDoneOn(task, today) || block.end <= since.minutes || block.end > minutes) return;
+
+        showToast(`Time's up for "${task.title}". Mark it complete?`, {
+            label: 'Complete',
+            handler: () => {
+                if (!isTaskDoneOn(task, today)) toggleTask(task.id, task.recurrence ? today : undefined);
+            }
+        }, 30000);
+    });
+}
+
+/**
+ * Show the timetable for another date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function setTimetableDate(dateString) {
+    if (!dateString) return;
+    timetableDate = dateString;
+    updateTimetable();
+}
+
+/**
+ * Move the timetable a number of days forward or back
+ * @param {number} days - Days to move (negative for earlier)
+ */
+function shiftTimetableDate(days) {
+    setTimetableDate(addDays(timetableDate, days));
+}
+
+/**
+ * Replace the selected day's plan with a template
+ * @param {string} templateId - Template ID
+ */
+function applyTimetableTemplate(templateId) {
+    const template = appData.timetableTemplates.find(t => t.id === templateId);
+    if (!template) return;
+
+    if (hasTimetableEntries(timetableDate) &&
+        !confirm(`Replace the plan for ${formatDate(timetableDate)} with the "${template.name}" template?`)) return;
+
+    recordUndo('Apply template');
+    appData.timetable[timetableDate] = copyTimetableBlocks(template.blocks);
+    saveData();
+    updateTimetable();
+    showUndoToast(`Applied the "${template.name}" template`);
+}
+
+/**
+ * Drop the selected day's own plan so it follows its weekday template again
+ */
+function resetTimetableDay() {
+    const template = getTimetableTemplateForDate(timetableDate);
+    if (!template || !confirm(`Discard the plan for ${formatDate(timetableDate)} and use the "${template.name}" template?`)) return;
+
+    recordUndo('Reset day');
+    delete appData.timetable[timetableDate];
+    saveData();
+    updateTimetable();
+    showUndoToast(`Reset ${formatDate(timetableDate)} to the "${template.name}" template`);
+}
+
+/**
+ * Copy the selected day's plan to another date
+ * @param {string} targetDate - Date in YYYY-MM-DD format
+ */
+function copyTimetableDay(targetDate) {
+    if (!targetDate || targetDate === timetableDate) return;
+
+    if (hasTimetableEntries(targetDate) && !confirm(`Replace the plan for ${formatDate(targetDate)}?`)) return;
+
+    recordUndo('Copy day');
+    appData.timetable[targetDate] = copyTimetableBlocks(getTimetableForDate(timetableDate));
+    saveData();
+    showToast(`Copied the plan to ${formatDate(targetDate)}`, {
+        label: 'View',
+        handler: () => setTimetableDate(targetDate)
+    });
+}
+
+/**
+ * Check whether a date already has anything planned
+ */
+function hasTimetableEntries(dateString) {
+    return getTimetableForDate(dateString).some(block => block.text.trim());
+}
+
+/**
+ * Render the list of timetable templates with their weekdays
+ */
+function updateTimetableTemplates() {
+    const container = document.getElementById('templateList');
+
+    if (appData.timetableTemplates.length === 0) {
+        container.innerHTML = '<div class="empty-state small">No templates yet. Plan a day, then save it as a template.</div>';
+        return;
+    }
+
+    const dayOrder = getWeekdayOrder();
+    container.innerHTML = appData.timetableTemplates.map(template => `
+        <div class="template-item">
+            <input type="text" class="input template-name" value="${escapeHtml(template.name)}"
+                   aria-label="Template name" onchange="renameTimetableTemplate('${escapeJsString(template.id)}', this.value)">
+            <div class="weekday-picker" role="group" aria-label="Days using ${escapeHtml(template.name)}">
+                ${dayOrder.map(day => `
+                    <label class="weekday-option">
+                        <input type="checkbox" ${template.days.includes(day) ? 'checked' : ''}
+                               onchange="toggleTemplateDay('${escapeJsString(template.id)}', ${day})">
+                        <span>${getWeekdayName(day, 'short')}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="template-actions">
+                <button class="btn btn-secondary btn-small" onclick="updateTemplateFromDay('${escapeJsString(template.id)}')"
+                        title="Replace this template with the plan shown above">Update from day</button>
+                <button class="task-delete" onclick="deleteTimetableTemplate('${escapeJsString(template.id)}')" aria-label="Delete template">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Save the selected day's plan as a new template
+ */
+function saveDayAsTemplate() {
+    const name = prompt('Template name:', 'Weekday');
+    if (!name?.trim()) return;
+
+    recordUndo('Save template');
+    appData.timetableTemplates.push({
+        id: generateId(),
+        name: name.trim(),
+        days: [],
+        blocks: copyBlocksForTemplate(getTimetableForDate(timetableDate))
+    });
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Replace a template's blocks with the selected day's plan
+ * @param {string} templateId - Template ID
+ */
+function updateTemplateFromDay(templateId) {
+    const template = appData.timetableTemplates.find(t => t.id === templateId);
+    if (!template || !confirm(`Replace the "${template.name}" template with the plan for ${formatDate(timetableDate)}?`)) return;
+
+    recordUndo('Update template');
+    template.blocks = copyBlocksForTemplate(getTimetableForDate(timetableDate));
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Rename a template
+ * @param {string} templateId - Template ID
+ * @param {string} name - New name
+ */
+function renameTimetableTemplate(templateId, name) {
+    const template = appData.timetableTemplates.find(t => t.id === templateId);
+    if (!template || !name.trim()) {
+        updateTimetable();
+        return;
+    }
+
+    recordUndo('Rename template');
+    template.name = name.trim();
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Turn a weekday on or off for a template.
+ * Each weekday uses at most one template, so it's taken off any other.
+ * @param {string} templateId - Template ID
+ * @param {number} day - Day of week (0 = Sunday)
+ */
+function toggleTemplateDay(templateId, day) {
+    const template = appData.timetableTemplates.find(t => t.id === templateId);
+    if (!template) return;
+
+    recordUndo('Change template days');
+    if (template.days.includes(day)) {
+        template.days = template.days.filter(d => d !== day);
+    } else {
+        appData.timetableTemplates.forEach(t => {
+            t.days = t.days.filter(d => d !== day);
+        });
+        template.days.push(day);
+    }
+
+    saveData();
+    updateTimetable();
+}
+
+/**
+ * Delete a template. Days that already have their own plan keep it.
+ * @param {string} templateId - Template ID
+ */
+function deleteTimetableTemplate(templateId) {
+    const template = appData.timetableTemplates.find(t => t.id === templateId);
+    if (!template || !confirm(`Delete the "${template.name}" template?`)) return;
+
+    recordUndo('Delete template');
+    appData.timetableTemplates = appData.timetableTemplates.filter(t => t.id !== templateId);
+    saveData();
+    updateTimetable();
+    showUndoToast(`Deleted the "${template.name}" template`);
+}
+
+// ============================================================
+// DRAG & DROP FUNCTIONS
+// ============================================================
+
+const TASK_DRAG_TYPE = 'application/x-focusflow-task';
+const BLOCK_DRAG_TYPE = 'application/x-focusflow-block';
+
+/**
+ * Start dragging a task
+ * @param {DragEvent} event - The dragstart event
+ * @param {string} taskId - Task ID
+ */
+function startTaskDrag(event, taskId) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    event.dataTransfer.setData(TASK_DRAG_TYPE, taskId);
+    event.dataTransfer.setData('text/plain', task.title);
+    event.dataTransfer.effectAllowed = 'copyMove';
+    document.body.classList.add('dragging-task');
+}
+
+/**
+ * Start dragging a timetable block
+ * @param {DragEvent} event - The dragstart event
+ * @param {string} blockId - Block ID
+ */
+function startBlockDrag(event, blockId) {
+    event.dataTransfer.setData(BLOCK_DRAG_TYPE, blockId);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Clean up after any drag ends, dropped or not
+ */
+function endDrag() {
+    document.body.classList.remove('dragging-task');
+    document.querySelectorAll('.drop-target, .drop-before, .drop-after')
+        .forEach(el => el.classList.remove('drop-target', 'drop-before', 'drop-after'));
+    clearTimeout(navDragTimeout);
+}
+
+/**
+ * Check whether a drag event carries a given kind of item
+ * @param {DragEvent} event - The drag event
+ * @param {string} type - TASK_DRAG_TYPE or BLOCK_DRAG_TYPE
+ */
+function isDragOf(event, type) {
+    return [...(event.dataTransfer?.types || [])].includes(type);
+}
+
+/**
+ * Handle something dropped on a timetable row.
+ * A task dropped on a free slot is scheduled there, and on a block links
+ * the block to it. A block dropped on a free slot moves there.
+ * @param {HTMLElement} row - The .time-block the drop landed on
+ * @param {DragEvent} event - The drop event
+ */
+function handleTimetableDrop(row, event) {
+    const start = parseInt(row.dataset.start, 10);
+    const taskId = event.dataTransfer.getData(TASK_DRAG_TYPE);
+    const blockId = event.dataTransfer.getData(BLOCK_DRAG_TYPE);
+
+    if (taskId) {
+        if (row.dataset.blockId) {
+            linkBlockToTask(row.dataset.blockId, taskId);
+        } else {
+            scheduleTask(taskId, start);
+        }
+    } else if (blockId && !row.dataset.blockId) {
+        moveTimetableBlockTo(blockId, start);
+    }
+}
+
+/**
+ * Set up dropping onto the timetable, the Weekly View and the Month page,
+ * reordering the task list, moving blocks and tasks with Alt+arrow keys, and
+ * opening a page by holding a dragged task over its sidebar link
+ */
+function initDragAndDrop() {
+    const timetable = document.getElementById('timetableContainer');
+
+    timetable.addEventListener('dragover', (e) => {
+        const row = e.target.closest('.time-block');
+        if (!row || !(isDragOf(e, TASK_DRAG_TYPE) || isDragOf(e, BLOCK_DRAG_TYPE))) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = isDragOf(e, TASK_DRAG_TYPE) ? 'copy' : 'move';
+        row.classList.add('drop-target');
+    });
+    timetable.addEventListener('dragleave', (e) => {
+        const row = e.target.closest('.time-block');
+        if (row && !row.contains(e.relatedTarget)) row.classList.remove('drop-target');
+    });
+    timetable.addEventListener('drop', (e) => {
+        const row = e.target.closest('.time-block');
+        if (!row) return;
+
+        e.preventDefault();
+        handleTimetableDrop(row, e);
+        endDrag();
+    });
+
+    timetable.addEventListener('keydown', (e) => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+        const row = e.target.closest('.time-block.planned');
+        if (!row) return;
+
+        e.preventDefault();
+        nudgeTimetableBlock(row.dataset.blockId, e.key === 'ArrowUp' ? -1 : 1);
+    });
+
+    // Weekly View and Month page: drop on a day to reschedule, or on the lane to unschedule
+    const dropZones = [
+        { el: document.getElementById('weeklyBoard'), selector: '.day-column' },
+        { el: document.getElementById('unscheduledLane'), selector: '.unscheduled-lane' },
+        { el: document.getElementById('monthGrid'), selector: '.month-day' }
+    ];
+    dropZones.forEach(({ el, selector }) => {
+        el.addEventListener('dragover', (e) => {
+            const zone = e.target.closest(selector);
+            if (!zone || !isDragOf(e, TASK_DRAG_TYPE)) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            zone.classList.add('drop-target');
+        });
+        el.addEventListener('dragleave', (e) => {
+            const zone = e.target.closest(selector);
+            if (zone && !zone.contains(e.relatedTarget)) zone.classList.remove('drop-target');
+        });
+        el.addEventListener('drop', (e) => {
+            const zone = e.target.closest(selector);
+            const taskId = e.dataTransfer.getData(TASK_DRAG_TYPE);
+            if (!zone || !taskId) return;
+
+            e.preventDefault();
+            endDrag();
+            rescheduleTask(taskId, zone.dataset.date || null);
+        });
+    });
+
+    // Tasks page in "manual" order: drop a task on another to move it there
+    const fullTaskList = document.getElementById('fullTaskList');
+    const getReorderTarget = (e) => {
+        const item = e.target.closest('.task-item[data-id]');
+        return taskView.sort === 'manual' && taskView.status !== 'trash' && item && isDragOf(e, TASK_DRAG_TYPE) ? item : null;
+    };
+    const isLowerHalf = (item, e) => {
+        const rect = item.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+    fullTaskList.addEventListener('dragover', (e) => {
+        const item = getReorderTarget(e);
+        if (!item) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        fullTaskList.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+        item.classList.add(isLowerHalf(item, e) ? 'drop-after' : 'drop-before');
+    });
+    fullTaskList.addEventListener('dragleave', (e) => {
+        const item = e.target.closest('.task-item');
+        if (item && !item.contains(e.relatedTarget)) item.classList.remove('drop-before', 'drop-after');
+    });
+    fullTaskList.addEventListener('drop', (e) => {
+        const item = getReorderTarget(e);
+        const taskId = e.dataTransfer.getData(TASK_DRAG_TYPE);
+        if (!item || !taskId) return;
+
+        e.preventDefault();
+        endDrag();
+        moveTaskInList(taskId, item.dataset.id, isLowerHalf(item, e));
+    });
+
+    // ...or press Alt+Up/Down on it
+    fullTaskList.addEventListener('keydown', (e) => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') || taskView.sort !== 'manual') return;
+        const item = e.target.closest('.task-item[data-id]');
+        const neighbour = e.key === 'ArrowUp' ? item?.previousElementSibling : item?.nextElementSibling;
+        if (!neighbour?.dataset.id) return;
+
+        e.preventDefault();
+        const taskId = item.dataset.id;
+        moveTaskInList(taskId, neighbour.dataset.id, e.key === 'ArrowDown');
+        fullTaskList.querySelector(`.task-item[data-id="${CSS.escape(taskId)}"] .task-checkbox`)?.focus();
+    });
+
+    // Hovering a dragged task over a sidebar link opens that page
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.addEventListener('dragenter', (e) => {
+            if (!isDragOf(e, TASK_DRAG_TYPE)) return;
+            clearTimeout(navDragTimeout);
+            navDragTimeout = setTimeout(() => navigateTo(item.dataset.page), 500);
+        });
+        item.addEventListener('dragleave', () => clearTimeout(navDragTimeout));
+    });
+}
+
+// ============================================================
+// WEEKLY VIEW FUNCTIONS
+// ============================================================
+
+/**
+ * Get the seven dates of a week
+ * @param {string} [startDate] - First day of the week (defaults to the current week)
+ */
+function getWeekDates(startDate) {
+    const first = startDate || getWeekStart(getTodayDateString());
+
+    const weekDates = [];
+    for (let i = 0; i < 7; i++) {
+        weekDates.push(addDays(first, i));
+    }
+
+    return weekDates;
+}
+
+/**
+ * Show the week containing a date on the Weekly View
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function setWeekViewDate(dateString) {
+    if (!dateString) return;
+    weekViewStart = getWeekStart(dateString);
+    updateWeeklyView();
+}
+
+/**
+ * Move the Weekly View a number of weeks forward or back
+ * @param {number} weeks - Weeks to move (negative for earlier)
+ */
+function shiftWeekView(weeks) {
+    setWeekViewDate(addDays(getWeekDates(weekViewStart)[0], weeks * 7));
+}
+
+/**
+ * Get tasks for a specific date, with recurring tasks as that day's instance
+ */
+function getTasksForDate(dateString) {
+    return appData.tasks
+        .filter(task => isTaskOnDate(task, dateString))
+        .map(task => getTaskInstance(task, dateString));
+}
+
+/**
+ * Create HTML for a task on the Weekly View. One-off tasks can be dragged
+ * to another day or to the Unscheduled lane; repeating tasks follow their rule.
+ * @param {Object} task - The task (or a recurring task's instance)
+ */
+function createDayTaskHTML(task) {
+    const dragAttrs = task.recurrence
+        ? ''
+        : `draggable="true" ondragstart="startTaskDrag(event, '${escapeJsString(task.id)}')" ondragend="endDrag()"`;
+
+    return `
+        <div class="day-task-item ${task.completed ? 'completed' : ''}" data-id="${escapeHtml(task.id)}" ${dragAttrs}>
+            <input type="checkbox" class="task-checkbox" 
+                   ${task.completed ? 'checked' : ''}
+                   onchange="toggleTask('${escapeJsString(task.id)}'${task.instanceDate ? `, '${escapeJsString(task.instanceDate)}'` : ''})">
+            <span ondblclick="startTitleEdit(this, '${escapeJsString(task.id)}')" title="Double-click to rename">${escapeHtml(task.title)}</span>
+            ${createSubjectChipHTML(getSubject(task.subjectId))}
+            ${task.recurrence ? `<span class="day-task-repeat" title="Repeats ${escapeHtml(formatRecurrence(task.recurrence).toLowerCase())}">↻</span>` : ''}
+            <button class="day-task-edit" onclick="openTaskEditor('${escapeJsString(task.id)}')" aria-label="Edit">&#9998;</button>
+            ${task.instanceDate
+                ? `<button class="day-task-delete" onclick="skipTaskOccurrence('${escapeJsString(task.id)}', '${escapeJsString(task.instanceDate)}')" aria-label="Remove this day only" title="Remove this day only">&times;</button>`
+                : `<button class="day-task-delete" onclick="deleteTask('${escapeJsString(task.id)}')" aria-label="Delete">&times;</button>`}
+        </div>
+    `;
+}
+
+/**
+ * Render the weekly view with 7 day columns, the week's controls and
+ * the lane of tasks with no due date
+ */
+function updateWeeklyView() {
+    const container = document.getElementById('weeklyBoard');
+    const weekDates = getWeekDates(weekViewStart);
+    const today = getTodayDateString();
+
+    const lastDay = weekDates[6];
+    const yearSuffix = lastDay.slice(0, 4) === today.slice(0, 4) ? '' : `, ${lastDay.slice(0, 4)}`;
+    document.getElementById('weekRangeLabel').textContent = `${formatDate(weekDates[0])} – ${formatDate(lastDay)}${yearSuffix}`;
+    document.getElementById('weekPicker').value = weekDates[0];
+    document.getElementById('weekThisBtn').disabled = weekDates.includes(today);
+
+    updateUnscheduledLane();
+
+    let html = weekDates.map(dateString => {
+        const dayTasks = getTasksForDate(dateString);
+        const isToday = dateString === today;
+
+        // Sort: active first, then completed
+        const sortedTasks = [...dayTasks].sort((a, b) => {
+            if (a.completed === b.completed) return 0;
+            return a.completed ? 1 : -1;
+        });
+
+        const tasksHtml = sortedTasks.map(createDayTaskHTML).join('');
+
+        return `
+            <div class="day-column ${isToday ? 'today' : ''}" data-date="${dateString}">
+                <div class="day-header">
+                    <span class="day-name">${getWeekdayName(getDayOfWeek(dateString))}</span>
+                    <span class="day-date">${formatDate(dateString)}</span>
+                </div>
+                <div class="day-tasks">${tasksHtml || '<div class="empty-state small">No tasks</div>'}</div>
+                <div class="add-day-task">
+                    <input type="text" class="input" placeholder="Add task..." 
+                           id="weeklyInput-${dateString}" aria-label="Add a task, e.g. Essay !high #english"
+                           onkeypress="handleWeeklyKeypress(event, '${dateString}')"
+                           oninput="updateQuickAddPreview(this, document.getElementById('weeklyPreview-${dateString}'), '${dateString}')">
+                    <button class="btn btn-primary" onclick="addWeeklyTask('${dateString}')" aria-label="Add task">+</button>
+                </div>
+                <div class="quick-add-preview" id="weeklyPreview-${dateString}" aria-live="polite"></div>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = html;
+}
+
+/**
+ * Render the lane of active tasks that have no due date
+ */
+function updateUnscheduledLane() {
+    const tasks = getUndatedTasks();
+
+    document.getElementById('unscheduledCount').textContent = tasks.length || '';
+    document.getElementById('unscheduledTasks').innerHTML = tasks.length
+        ? tasks.map(createDayTaskHTML).join('')
+        : '<div class="empty-state small">Tasks without a due date show up here. Drag one onto a day to schedule it.</div>';
+}
+
+/**
+ * Give a one-off task a new due date, or none
+ * @param {string} taskId - The task ID
+ * @param {string|null} dueDate - Date in YYYY-MM-DD format, or null to unschedule
+ */
+function rescheduleTask(taskId, dueDate) {
+    const task = appData.tasks.find(t => t.id === taskId);
+    if (!task || task.recurrence || task.dueDate === dueDate) return;
+
+    recordUndo('Move task');
+    task.dueDate = dueDate;
+    task.updatedAt = new Date().toISOString();
+    saveData();
+    updateUI();
+    showUndoToast(dueDate ? `Moved "${task.title}" to ${formatDate(dueDate)}` : `Unscheduled "${task.title}"`);
+}
+
+/**
+ * Add a task from weekly view
+ */
+function addWeeklyTask(dateString) {
+    addQuickTask(document.getElementById(`weeklyInput-${dateString}`), dateString);
+}
+
+/**
+ * Handle Enter key in weekly view input
+ */
+function handleWeeklyKeypress(event, dateString) {
+    if (event.key === 'Enter') {
+        addWeeklyTask(dateString);
+    }
+}
+
+// ============================================================
+// MONTH VIEW FUNCTIONS
+// ============================================================
+
+// Titles shown in a month cell before the rest collapse into "+N more"
+const MONTH_CELL_TASKS = 3;
+
+/**
+ * Get the first day of the month a date falls in
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function getMonthStart(dateString) {
+    return dateString.slice(0, 8) + '01';
+}
+
+/**
+ * Get the dates shown on the month grid: whole weeks, starting on the day
+ * set in settings.weekStartsOn, from the week the month starts in to the
+ * week it ends in
+ */
+function getMonthGridDates() {
+    const first = getMonthStart(monthViewDate || getTodayDateString());
+    const last = addDays(addMonths(first, 1), -1);
+
+    const dates = [];
+    for (let date = getWeekStart(first); dates.length % 7 !== 0 || date <= last; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Render the Month page: the grid of days and the selected day's list
+ */
+function updateMonthView() {
+    const container = document.getElementById('monthGrid');
+    const month = getMonthStart(monthViewDate || getTodayDateString());
+    const today = getTodayDateString();
+
+    document.getElementById('monthLabel').textContent = formatMonth(month);
+    document.getElementById('monthThisBtn').disabled = month === getMonthStart(today);
+
+    const headers = getWeekdayOrder()
+        .map(day => `<div class="month-weekday" role="columnheader">${getWeekdayName(day, 'short')}</div>`)
+        .join('');
+
+    const cells = getMonthGridDates().map(dateString => {
+        const tasks = sortMonthTasks(getTasksForDate(dateString));
+        const active = tasks.filter(task => !task.completed).length;
+        const classes = [
+            'month-day',
+            dateString.slice(0, 7) !== month.slice(0, 7) ? 'other-month' : '',
+            dateString === today ? 'today' : '',
+            dateString === monthSelectedDate ? 'selected' : ''
+        ].filter(Boolean).join(' ');
+
+        const titles = tasks.slice(0, MONTH_CELL_TASKS).map(task => `
+            <span class="month-task ${task.priority || 'medium'} ${task.completed ? 'completed' : ''}">${escapeHtml(task.title)}</span>
+        `).join('');
+        const more = tasks.length > MONTH_CELL_TASKS ? `<span class="month-more">+${tasks.length - MONTH_CELL_TASKS} more</span>` : '';
+
+        return `
+            <div class="${classes}" data-date="${dateString}" role="gridcell" tabindex="0"
+                 aria-label="${escapeHtml(getFullDateString(dateString))}, ${tasks.length} task${tasks.length === 1 ? '' : 's'}"
+                 onclick="selectMonthDay('${dateString}')"
+                 onkeydown="if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); selectMonthDay('${dateString}'); }">
+                <div class="month-day-header">
+                    <span class="month-day-number">${Number(dateString.slice(8))}</span>
+                    ${active ? `<span class="month-day-count" title="${active} to do">${active}</span>` : ''}
+                </div>
+                <div class="month-day-tasks">${titles}${more}</div>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = headers + cells;
+    updateMonthDayPanel();
+}
+
+/**
+ * Sort a day's tasks for the Month page: to-do before done, then by priority
+ * @param {Object[]} tasks - Tasks (or recurring instances) on one day
+ */
+function sortMonthTasks(tasks) {
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    return [...tasks].sort((a, b) => {
+        if (a.completed !== b.completed) return a.completed ? 1 : -1;
+        return (priorityOrder[a.priority] ?? 1) - (priorityOrder[b.priority] ?? 1);
+    });
+}
+
+/**
+ * Render the task list for the day picked on the month grid
+ */
+function updateMonthDayPanel() {
+    const panel = document.getElementById('monthDayPanel');
+    panel.parentElement.classList.toggle('day-open', Boolean(monthSelectedDate));
+    if (!monthSelectedDate) {
+        panel.hidden = true;
+        return;
+    }
+
+    const tasks = sortMonthTasks(getTasksForDate(monthSelectedDate));
+    panel.hidden = false;
+    document.getElementById('monthDayTitle').textContent = getFullDateString(monthSelectedDate);
+    document.getElementById('monthDayTasks').innerHTML = tasks.length
+        ? tasks.map(createDayTaskHTML).join('')
+        : '<div class="empty-state small">Nothing due on this day</div>';
+}
+
+/**
+ * Open a day's task list, or close it when the day is already open
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function selectMonthDay(dateString) {
+    monthSelectedDate = monthSelectedDate === dateString ? null : dateString;
+    updateMonthView();
+    if (monthSelectedDate) document.getElementById('monthDayInput').focus();
+}
+
+/**
+ * Show the month containing a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function setMonthViewDate(dateString) {
+    monthViewDate = getMonthStart(dateString);
+    updateMonthView();
+}
+
+/**
+ * Move the Month page a number of months forward or back
+ * @param {number} months - Months to move (negative for earlier)
+ */
+function shiftMonthView(months) {
+    setMonthViewDate(addMonths(getMonthStart(monthViewDate || getTodayDateString()), months));
+}
+
+/**
+ * Add a task due on the day open on the Month page
+ */
+function addMonthTask() {
+    const input = document.getElementById('monthDayInput');
+    const title = input.value.trim();
+
+    if (!title || !monthSelectedDate) return;
+
+    addTask(title, document.getElementById('monthDayPriority').value, monthSelectedDate);
+    input.value = '';
+    input.focus();
+}
+
+// ============================================================
+// POMODORO TIMER FUNCTIONS
+// ============================================================
+
+/**
+ * Pomodoro cycle phases and the settings key holding each length
+ */
+const TIMER_PHASES = {
+    focus: { label: 'Focus', settingKey: 'focusMinutes' },
+    shortBreak: { label: 'Short Break', settingKey: 'shortBreakMinutes' },
+    longBreak: { label: 'Long Break', settingKey: 'longBreakMinutes' }
+};
+
+// A focus session left paused this long with the page closed counts as abandoned
+const ABANDON_PAUSED_SESSION_AFTER = 30 * 60 * 1000;
+
+/**
+ * Get the length of a phase in seconds from the user's settings
+ * @param {string} phase - Phase key (focus/shortBreak/longBreak)
+ */
+function getPhaseDuration(phase) {
+    const key = (TIMER_PHASES[phase] || TIMER_PHASES.focus).settingKey;
+    const minutes = appData.settings?.[key] ?? DEFAULT_DATA.settings[key];
+    return minutes * 60;
+}
+
+/**
+ * Work out which phase follows the given one.
+ * Every Nth completed focus session is followed by a long break.
+ * @param {string} phase - The phase that just finished
+ * @param {number} completedFocusSessions - Focus sessions finished so far
+ */
+function getNextPhase(phase, completedFocusSessions) {
+    if (phase !== 'focus') return 'focus';
+
+    const interval = appData.settings?.longBreakInterval || DEFAULT_DATA.settings.longBreakInterval;
+    return completedFocusSessions % interval === 0 ? 'longBreak' : 'shortBreak';
+}
+
+/**
+ * Switch the timer to a phase with its full length
+ * @param {string} phase - Phase key (focus/shortBreak/longBreak)
+ */
+function setTimerPhase(phase) {
+    appData.timer.phase = phase;
+    appData.timer.seconds = getPhaseDuration(phase);
+    appData.timer.endTime = null;
+}
+
+/**
+ * Get the seconds left in the current phase.
+ * A running timer is measured against its end timestamp, so it stays
+ * correct when the tab is throttled, the device sleeps or the page reloads.
+ */
+function getRemainingSeconds() {
+    if (appData.timer?.isRunning && appData.timer.endTime) {
+        return Math.max(0, Math.ceil((appData.timer.endTime - Date.now()) / 1000));
+    }
+    return appData.timer?.seconds ?? getPhaseDuration(appData.timer?.phase || 'focus');
+}
+
+/**
+ * Update the timer display
+ */
+function updateTimerDisplay() {
+    const phase = appData.timer?.phase || 'focus';
+    const seconds = getRemainingSeconds();
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    const display = `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+
+    document.getElementById('timerDisplay').textContent = display;
+    document.getElementById('timerPhase').textContent = TIMER_PHASES[phase].label;
+    document.getElementById('pomodoroCard').dataset.phase = phase;
+
+    // Position within the cycle, e.g. "Session 2 of 4"
+    const interval = appData.settings?.longBreakInterval || DEFAULT_DATA.settings.longBreakInterval;
+    const completed = appData.timer?.completedFocusSessions || 0;
+    const position = phase === 'focus'
+        ? (completed % interval) + 1
+        : ((completed - 1) % interval) + 1;
+    document.getElementById('timerCycle').textContent = `Session ${Math.max(position, 1)} of ${interval}`;
+
+    // Update button states
+    const startBtn = document.getElementById('timerStart');
+    const pauseBtn = document.getElementById('timerPause');
+
+    if (appData.timer?.isRunning) {
+        startBtn.disabled = true;
+        pauseBtn.disabled = false;
+    } else {
+        startBtn.disabled = false;
+        pauseBtn.disabled = true;
+    }
+}
+
+/**
+ * Start the Pomodoro timer
+ */
+function startTimer() {
+    if (appData.timer.isRunning) return;
+
+    primeChime();
+
+    if (appData.timer.phase === 'focus' && !appData.timer.session) {
+        beginFocusSession(Date.now());
+    }
+    if (appData.timer.session) delete appData.timer.session.pausedAt;
+
+    appData.timer.isRunning = true;
+    appData.timer.endTime = Date.now() + appData.timer.seconds * 1000;
+    saveData();
+    updateTimerDisplay();
+    claimTimer();
+    startTimerTicker();
+}
+
+/**
+ * Start the interval that refreshes the display while the timer runs.
+ * The interval only reads the clock; state is saved on start, pause and
+ * phase changes rather than every tick.
+ */
+function startTimerTicker() {
+    stopTimerTicker();
+    timerInterval = setInterval(tickTimer, 500);
+}
+
+/**
+ * Stop the display refresh interval
+ */
+function stopTimerTicker() {
+    if (timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+}
+
+/**
+ * Refresh the display and finish the phase once its end time has passed.
+ * Only the tab that owns the timer finishes phases; other tabs wait for
+ * the owner's saved changes.
+ */
+function tickTimer() {
+    if (!appData.timer.isRunning) return;
+
+    if (getRemainingSeconds() <= 0 && isTimerOwner()) {
+        completeTimerPhase();
+    } else {
+        updateTimerDisplay();
+    }
+}
+
+/**
+ * Pause the Pomodoro timer
+ */
+function pauseTimer() {
+    if (appData.timer.isRunning) {
+        appData.timer.seconds = getRemainingSeconds();
+        if (appData.timer.session) appData.timer.session.pausedAt = Date.now();
+    }
+    appData.timer.isRunning = false;
+    appData.timer.endTime = null;
+    stopTimerTicker();
+    releaseTimer();
+
+    saveData();
+    updateTimerDisplay();
+}
+
+/**
+ * Reset the current phase to its full length.
+ * A focus session that was already under way is logged as abandoned.
+ */
+function resetTimer() {
+    pauseTimer();
+
+    if (appData.timer.session) {
+        const focusedSeconds = appData.timer.session.plannedSeconds - appData.timer.seconds;
+        logFocusSession('abandoned', appData.timer.session.pausedAt || Date.now(), focusedSeconds);
+        updateStats();
+    }
+
+    setTimerPhase(appData.timer.phase || 'focus');
+    saveData();
+    updateTimerDisplay();
+}
+
+/**
+ * Log a focus session that was paused and then left as abandoned, as of when
+ * it was paused, and put the timer back at the start of the phase. Runs when
+ * the page is hidden for good and on load, so a quick reload doesn't end a
+ * paused session.
+ */
+function abandonPausedSession() {
+    const session = appData.timer.session;
+    if (appData.timer.isRunning || !session?.pausedAt) return;
+    if (Date.now() - session.pausedAt < ABANDON_PAUSED_SESSION_AFTER) return;
+
+    logFocusSession('abandoned', session.pausedAt, session.plannedSeconds - appData.timer.seconds);
+    setTimerPhase(appData.timer.phase || 'focus');
+    saveData();
+    updateUI();
+}
+
+/**
+ * Remember when the current focus session started and how long it was meant to be
+ * @param {number} startedAt - Timestamp (ms) the session started
+ */
+function beginFocusSession(startedAt) {
+    appData.timer.session = {
+        startedAt: new Date(startedAt).toISOString(),
+        plannedSeconds: appData.timer.seconds,
+        taskId: appData.timer.taskId || null
+    };
+}
+
+/**
+ * Record the current focus session in the history and clear it from the timer
+ * @param {string} outcome - 'completed' or 'abandoned'
+ * @param {number} endedAt - Timestamp (ms) the session ended
+ * @param {number} focusedSeconds - Time actually spent focusing
+ */
+function logFocusSession(outcome, endedAt, focusedSeconds) {
+    const session = appData.timer.session;
+    if (!session) return;
+
+    appData.sessions.push({
+        id: generateId(),
+        taskId: session.taskId || null,
+        startedAt: session.startedAt,
+        endedAt: new Date(endedAt).toISOString(),
+        plannedSeconds: session.plannedSeconds,
+        durationSeconds: Math.max(0, Math.round(focusedSeconds)),
+        outcome: outcome
+    });
+    appData.timer.session = null;
+
+    // Credit finished sessions to the task being focused on
+    const task = appData.tasks.find(t => t.id === session.taskId);
+    if (task && outcome === 'completed') {
+        task.completedPomodoros = (task.completedPomodoros || 0) + 1;
+    }
+}
+
+/**
+ * Set the task the Pomodoro timer is focusing on.
+ * A session already under way is credited to the new task.
+ * @param {string|null} taskId - Task ID, or null for no task
+ */
+function setFocusTask(taskId) {
+    appData.timer.taskId = taskId || null;
+    if (appData.timer.session) {
+        appData.timer.session.taskId = appData.timer.taskId;
+    }
+    saveData();
+    updateUI();
+}
+
+/**
+ * Fill the Pomodoro card's task picker with active tasks
+ */
+function updateFocusTaskSelect() {
+    const select = document.getElementById('focusTaskSelect');
+    const activeTasks = appData.tasks.filter(t => !t.completed || t.id === appData.timer.taskId);
+
+    select.innerHTML = '<option value="">No task selected</option>' + activeTasks.map(task => `
+        <option value="${escapeHtml(task.id)}">${escapeHtml(task.title)}</option>
+    `).join('');
+    select.value = appData.timer.taskId || '';
+}
+
+/**
+ * Move the timer from the phase that just ended to the next one.
+ * With auto-start on, the next phase begins at the moment the previous
+ * one ended, not when this code happens to run.
+ * @param {number} endedAt - Timestamp (ms) at which the phase ended
+ * @returns {{finishedPhase: string, nextPhase: string}}
+ */
+function advanceTimerPhase(endedAt) {
+    const finishedPhase = appData.timer.phase;
+
+    if (finishedPhase === 'focus') {
+        appData.timer.completedFocusSessions = (appData.timer.completedFocusSessions || 0) + 1;
+        if (!appData.timer.session) {
+            // Sessions saved before history was recorded have no start time
+            const plannedSeconds = getPhaseDuration('focus');
+            appData.timer.session = {
+                startedAt: new Date(endedAt - plannedSeconds * 1000).toISOString(),
+                plannedSeconds: plannedSeconds,
+                taskId: appData.timer.taskId || null
+            };
+        }
+        logFocusSession('completed', endedAt, appData.timer.session.plannedSeconds);
+    }
+
+    const nextPhase = getNextPhase(finishedPhase, appData.timer.completedFocusSessions);
+    setTimerPhase(nextPhase);
+
+    if (appData.settings.autoStartNextPhase) {
+        if (nextPhase === 'focus') {
+            beginFocusSession(endedAt);
+        }
+        appData.timer.isRunning = true;
+        appData.timer.endTime = endedAt + appData.timer.seconds * 1000;
+    } else {
+        appData.timer.isRunning = false;
+    }
+
+    return { finishedPhase, nextPhase };
+}
+
+/**
+ * Finish the current phase and move on to the next one.
+ * If the page was asleep or closed for longer than the next phase too,
+ * auto-started phases are caught up, but never more than one full cycle.
+ */
+function completeTimerPhase() {
+    stopTimerTicker();
+
+    let result = advanceTimerPhase(appData.timer.endTime || Date.now());
+    const maxCatchUp = (appData.settings.longBreakInterval || DEFAULT_DATA.settings.longBreakInterval) * 2;
+
+    for (let i = 0; appData.timer.isRunning && appData.timer.endTime <= Date.now(); i++) {
+        if (i >= maxCatchUp) {
+            // Away for too long - wait at the start of the next phase instead.
+            // A focus session that started on its own with nobody there is logged as abandoned.
+            appData.timer.isRunning = false;
+            if (appData.timer.session) {
+                logFocusSession('abandoned', Date.parse(appData.timer.session.startedAt), 0);
+            }
+            setTimerPhase(appData.timer.phase);
+            break;
+        }
+        result = advanceTimerPhase(appData.timer.endTime);
+    }
+
+    saveData();
+    updateUI();
+
+    if (appData.timer.isRunning) {
+        startTimerTicker();
+    } else {
+        releaseTimer();
+    }
+
+    showTimerComplete(result.finishedPhase, result.nextPhase);
+}
+
+/**
+ * Let the user know a phase has ended, without blocking the page
+ * @param {string} finishedPhase - The phase that just ended
+ * @param {string} nextPhase - The phase that comes next
+ */
+function showTimerComplete(finishedPhase, nextPhase) {
+    if ('vibrate' in navigator) {
+        navigator.vibrate([200, 100, 200]);
+    }
+
+    const nextMinutes = Math.round(getPhaseDuration(nextPhase) / 60);
+    const text = finishedPhase === 'focus'
+        ? { title: '🎉 Session complete!', body: `Great work! Take a ${nextMinutes}-minute ${TIMER_PHASES[nextPhase].label.toLowerCase()}.` }
+        : { title: '⏰ Break over!', body: `Ready for a ${nextMinutes}-minute focus session?` };
+
+    sendAlert({
+        ...text,
+        tag: 'focusflow-timer',
+        page: 'dashboard',
+        // Offer to start the next phase unless it already started on its own
+        action: appData.timer.isRunning ? null : { label: 'Start', handler: startTimer }
+    }, appData.settings.notifyTimer);
+}
+
+/**
+ * Resume timer if it was running before page refresh.
+ * Finishes (and auto-advances) any phase that ended while the page was closed.
+ * When another tab already owns the timer, this tab only mirrors it.
+ */
+function resumeTimerIfNeeded() {
+    if (!appData.timer?.isRunning) return;
+
+    claimTimer();
+    if (getRemainingSeconds() <= 0 && isTimerOwner()) {
+        completeTimerPhase();
+    } else {
+        startTimerTicker();
+        updateTimerDisplay();
+    }
+}
+
+// ============================================================
+// NOTIFICATION FUNCTIONS
+// ============================================================
+
+const NOTIFICATION_ICON = './icons/icon-192x192.png';
+const REMINDER_DEFAULT_TIME = '09:00';
+
+let chimeContext = null;
+
+/**
+ * Current notification permission, or 'unsupported' when the browser has none
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+function getNotificationPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Whether system notifications are both allowed and turned on
+ */
+function canShowSystemNotifications() {
+    return appData.settings.notificationsEnabled && getNotificationPermission() === 'granted';
+}
+
+/**
+ * Ask for notification permission. Older Safari only supports the callback form.
+ * @returns {Promise<string>} The resulting permission
+ */
+function requestNotificationPermission() {
+    return new Promise(resolve => {
+        const result = Notification.requestPermission(resolve);
+        if (result) result.then(resolve);
+    });
+}
+
+/**
+ * Whether FocusFlow is the visible, focused window, so an in-app toast will be seen
+ */
+function isAppInFront() {
+    return document.visibilityState === 'visible' && document.hasFocus();
+}
+
+/**
+ * Show a system notification through the service worker. Clicking it brings
+ * FocusFlow to the front on the given page (see service-worker.js).
+ * Without a service worker (e.g. opened from a file) a page notification is used.
+ * @param {string} title - Notification title
+ * @param {Object} options - { body, tag, page }
+ * @returns {Promise<boolean>} Whether a notification was shown
+ */
+async function showSystemNotification(title, { body, tag, page }) {
+    if (!canShowSystemNotifications()) return false;
+
+    const options = { body: body, tag: tag, icon: NOTIFICATION_ICON, data: { page: page } };
+    try {
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration()
+            : null;
+
+        if (registration?.active) {
+            await registration.showNotification(title, options);
+        } else {
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                navigateTo(page);
+                notification.close();
+            };
+        }
+        return true;
+    } catch (error) {
+        console.warn('FocusFlow: could not show notification:', error);
+        return false;
+    }
+}
+
+/**
+ * Alert the user about a finished phase or a due task. The in-app toast always
+ * shows; a system notification is sent when allowed and FocusFlow isn't in front,
+ * and the chime plays when there was no system notification to make a sound.
+ * @param {Object} alert - { title, body, tag, page, action }
+ * @param {boolean} allowSystem - Whether this kind of alert may notify the system
+ */
+async function sendAlert({ title, body, tag, page, action = null }, allowSystem) {
+    showToast(`${title} ${body}`, action, 30000, tag);
+
+    const notified = allowSystem && !isAppInFront()
+        ? await showSystemNotification(title, { body, tag, page })
+        : false;
+
+    if (!notified && appData.settings.playChime) {
+        playChime();
+    }
+}
+
+/**
+ * Get the shared audio context, resuming it if the browser suspended it
+ * @returns {AudioContext|null} Null when Web Audio isn't supported
+ */
+function getChimeContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    if (!chimeContext) {
+        chimeContext = new AudioContextClass();
+    }
+    if (chimeContext.state === 'suspended') {
+        chimeContext.resume().catch(() => {});
+    }
+    return chimeContext;
+}
+
+/**
+ * Unlock audio while handling a click. Browsers only allow sound after a user
+ * gesture, and the chime usually plays long after the timer was started.
+ */
+function primeChime() {
+    if (appData.settings.playChime) getChimeContext();
+}
+
+/**
+ * Play a short two-note chime, generated so there is no sound file to cache
+ */
+function playChime() {
+    const context = getChimeContext();
+    if (!context) return;
+
+    [880, 1318.5].forEach((frequency, i) => {
+        const start = context.currentTime + i * 0.18;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.25, start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.6);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.65);
+    });
+}
+
+/**
+ * Work out when a task's reminder is due. Recurring tasks are reminded about
+ * their next open instance.
+ * @param {Object} task - The task object
+ * @returns {Object|null} { dueDate, at } or null when there is nothing to remind about
+ */
+function getReminderOccurrence(task) {
+    if (!task.reminder || !task.dueDate) return null;
+
+    const entry = task.recurrence ? getSeriesListEntry(task) : task;
+    if (entry.completed) return null;
+
+    const [hours, minutes] = (task.reminder.time || REMINDER_DEFAULT_TIME).split(':').map(Number);
+    const at = parseDateString(addDays(entry.dueDate, -task.reminder.daysBefore));
+    at.setHours(hours, minutes, 0, 0);
+
+    return { dueDate: entry.dueDate, at: at };
+}
+
+/**
+ * Describe a due date relative to today (e.g., "Due tomorrow")
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ */
+function describeDueDate(dateString) {
+    const days = getDaysBetween(getTodayDateString(), dateString);
+    if (days === 0) return 'Due today';
+    if (days === 1) return 'Due tomorrow';
+    return `Due ${getWeekdayName(getDayOfWeek(dateString), 'short')}, ${formatDate(dateString)}`;
+}
+
+/**
+ * Send any task reminders whose time has come. Each reminder is sent once per
+ * due date, by one tab only; ones missed while FocusFlow was closed are sent
+ * until the task is due.
+ */
+function checkTaskReminders() {
+    if (!isReminderOwner()) return;
+
+    const now = Date.now();
+    const today = getTodayDateString();
+    let sent = false;
+
+    appData.tasks.forEach(task => {
+        const occurrence = getReminderOccurrence(task);
+        if (!occurrence || occurrence.at.getTime() > now || occurrence.dueDate < today) return;
+        if (task.reminderSentFor === occurrence.dueDate) return;
+
+        task.reminderSentFor = occurrence.dueDate;
+        sent = true;
+
+        sendAlert({
+            title: `🔔 ${task.title}`,
+            body: describeDueDate(occurrence.dueDate),
+            tag: `focusflow-reminder-${task.id}`,
+            page: 'tasks',
+            action: {
+                label: 'Complete',
+                handler: () => {
+                    if (!isTaskDoneOn(task, occurrence.dueDate)) {
+                        toggleTask(task.id, task.recurrence ? occurrence.dueDate : undefined);
+                    }
+                }
+            }
+        }, appData.settings.notifyReminders);
+    });
+
+    if (sent) saveData();
+}
+
+/**
+ * Read the reminder chosen in the task editor
+ * @returns {Object|null} { daysBefore, time } or null for no reminder
+ */
+function getEditorReminder() {
+    const daysBefore = parseInt(document.getElementById('editTaskReminder').value, 10);
+    if (isNaN(daysBefore)) return null;
+
+    return {
+        daysBefore: daysBefore,
+        time: document.getElementById('editTaskReminderTime').value || REMINDER_DEFAULT_TIME
+    };
+}
+
+/**
+ * Enable the reminder time only when a reminder is chosen
+ */
+function updateEditorReminderTime() {
+    document.getElementById('editTaskReminderTime').disabled = !document.getElementById('editTaskReminder').value;
+}
+
+/**
+ * Turn system notifications on or off. Turning them on asks for permission
+ * first if the browser hasn't been asked yet.
+ */
+async function toggleNotifications() {
+    if (canShowSystemNotifications()) {
+        appData.settings.notificationsEnabled = false;
+    } else {
+        primeChime();
+        let permission = getNotificationPermission();
+        if (permission === 'default') {
+            permission = await requestNotificationPermission();
+        }
+
+        appData.settings.notificationsEnabled = permission === 'granted';
+        if (permission === 'denied') {
+            showToast('Notifications are blocked for FocusFlow. Allow them in your browser\'s site settings, then try again.');
+        }
+    }
+
+    saveData();
+    updateNotificationSettings();
+}
+
+/**
+ * Toggle one of the notification settings
+ * @param {string} key - Settings key (e.g. notifyTimer)
+ */
+function toggleNotificationSetting(key) {
+    appData.settings[key] = !appData.settings[key];
+    saveData();
+    updateNotificationSettings();
+}
+
+/**
+ * Send a notification straight away so the user can check it works
+ */
+async function sendTestNotification() {
+    const shown = await showSystemNotification('FocusFlow', {
+        body: 'Notifications are working.',
+        tag: 'focusflow-test',
+        page: 'settings'
+    });
+
+    if (!shown) {
+        showToast('The notification could not be shown. Check your browser and system notification settings.');
+    }
+}
+
+/**
+ * Show the notification settings, including what the browser currently allows
+ */
+function updateNotificationSettings() {
+    const permission = getNotificationPermission();
+    const enabled = canShowSystemNotifications();
+    const statusText = {
+        unsupported: 'Not supported by this browser; alerts appear inside FocusFlow instead',
+        denied: 'Blocked in your browser\'s site settings; alerts appear inside FocusFlow instead'
+    };
+
+    document.getElementById('notificationsEnabled').checked = enabled;
+    document.getElementById('notificationsEnabled').disabled = permission === 'unsupported';
+    document.getElementById('notificationStatus').textContent = statusText[permission] || (enabled
+        ? 'On: alerts reach you even when FocusFlow is in the background'
+        : 'Off: alerts only appear while FocusFlow is in front');
+
+    ['notifyTimer', 'notifyReminders'].forEach(key => {
+        const toggle = document.getElementById(key);
+        toggle.checked = appData.settings[key];
+        toggle.disabled = !enabled;
+    });
+    document.getElementById('testNotificationBtn').disabled = !enabled;
+    document.getElementById('playChime').checked = appData.settings.playChime;
+}
+
+/**
+ * Open the page a clicked notification points at. A running FocusFlow window
+ * gets a message from the service worker; a newly opened one gets a #page hash.
+ */
+function initNotifications() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'navigate') navigateTo(e.data.page);
+        });
+    }
+
+    const page = location.hash.slice(1);
+    if (page && document.getElementById(`page-${page}`)) {
+        navigateTo(page);
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+
+    claimReminders();
+    checkTaskReminders();
+}
+
+// ============================================================
+// STATISTICS FUNCTIONS
+// ============================================================
+
+/**
+ * Format a number of minutes for display (e.g., "1h 25m")
+ */
+function formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return `${minutes}m`;
+    return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+}
+
+/**
+ * Total focus minutes and completed sessions for each day.
+ * Abandoned sessions count toward focus time but not toward sessions.
+ * @returns {Object} Map of YYYY-MM-DD to { minutes, sessions }
+ */
+function getDailyFocusTotals() {
+    const totals = {};
+
+    appData.sessions.forEach(session => {
+        const day = getDateString(new Date(session.startedAt));
+        totals[day] = totals[day] || { seconds: 0, sessions: 0 };
+        totals[day].seconds += session.durationSeconds;
+        if (session.outcome === 'completed') totals[day].sessions++;
+    });
+
+    Object.values(totals).forEach(total => {
+        total.minutes = Math.round(total.seconds / 60);
+    });
+
+    return totals;
+}
+
+/**
+ * Get the current and longest runs of consecutive days with a completed session
+ * @param {Object} dailyTotals - Result of getDailyFocusTotals()
+ */
+function getFocusStreaks(dailyTotals) {
+    const days = Object.keys(dailyTotals)
+        .filter(day => dailyTotals[day].sessions > 0)
+        .sort();
+
+    let longest = 0;
+    let run = 0;
+    days.forEach((day, index) => {
+        run = index > 0 && addDays(days[index - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+
+    // The current streak is still alive if the last session was today or yesterday
+    const today = getTodayDateString();
+    const lastDay = days[days.length - 1];
+    const current = lastDay === today || lastDay === addDays(today, -1) ? run : 0;
+
+    return { current, longest };
+}
+
+/**
+ * Build an SVG bar chart
+ * @param {Array<{label: string, sublabel: string, value: number, valueLabel: string}>} bars
+ */
+function renderBarChart(bars) {
+    const barWidth = 28;
+    const gap = 16;
+    const chartHeight = 120;
+    const top = 20;
+    const width = bars.length * (barWidth + gap);
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+
+    const barsSvg = bars.map((bar, index) => {
+        const x = index * (barWidth + gap) + gap / 2;
+        const height = Math.round((bar.value / max) * chartHeight);
+        const y = top + chartHeight - height;
+        const center = x + barWidth / 2;
+
+        return `
+            <g>
+                <title>${escapeHtml(`${bar.label} ${bar.sublabel}: ${bar.valueLabel}`)}</title>
+                <rect class="chart-bar" x="${x}" y="${y}" width="${barWidth}" height="${Math.max(height, 1)}" rx="4"></rect>
+                <text class="chart-value" x="${center}" y="${y - 6}">${bar.value > 0 ? escapeHtml(bar.valueLabel) : ''}</text>
+                <text class="chart-label" x="${center}" y="${top + chartHeight + 18}">${escapeHtml(bar.label)}</text>
+                <text class="chart-sublabel" x="${center}" y="${top + chartHeight + 34}">${escapeHtml(bar.sublabel)}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `<svg class="bar-chart" viewBox="0 0 ${width} ${top + chartHeight + 40}" role="img">${barsSvg}</svg>`;
+}
+
+/**
+ * Render the Stats page: summary, daily and weekly charts, and session history
+ */
+function updateStats() {
+    const dailyTotals = getDailyFocusTotals();
+    const today = getTodayDateString();
+    const weekDates = getWeekDates(getWeekStart(today));
+    const streaks = getFocusStreaks(dailyTotals);
+
+    const todayTotal = dailyTotals[today] || { minutes: 0, sessions: 0 };
+    const weekMinutes = weekDates.reduce((sum, day) => sum + (dailyTotals[day]?.minutes || 0), 0);
+
+    const summary = [
+        { label: 'Focus Today', value: formatMinutes(todayTotal.minutes) },
+        { label: 'Sessions Today', value: todayTotal.sessions },
+        { label: 'Focus This Week', value: formatMinutes(weekMinutes) },
+        { label: 'Current Streak', value: `${streaks.current} ${streaks.current === 1 ? 'day' : 'days'}` },
+        { label: 'Longest Streak', value: `${streaks.longest} ${streaks.longest === 1 ? 'day' : 'days'}` }
+    ];
+
+    document.getElementById('statsSummary').innerHTML = summary.map(item => `
+        <div class="stat-tile">
+            <span class="stat-value">${item.value}</span>
+            <span class="stat-label">${item.label}</span>
+        </div>
+    `).join('');
+
+    // Last 7 days, oldest first
+    const dailyBars = [];
+    for (let i = 6; i >= 0; i--) {
+        const day = addDays(today, -i);
+        const total = dailyTotals[day] || { minutes: 0, sessions: 0 };
+        dailyBars.push({
+            label: getWeekdayName(getDayOfWeek(day), 'short'),
+            sublabel: `${total.sessions} ${total.sessions === 1 ? 'session' : 'sessions'}`,
+            value: total.minutes,
+            valueLabel: formatMinutes(total.minutes)
+        });
+    }
+    document.getElementById('statsDailyChart').innerHTML = renderBarChart(dailyBars);
+
+    // Last 8 weeks, oldest first
+    const weeklyBars = [];
+    for (let i = 7; i >= 0; i--) {
+        const weekStart = addDays(weekDates[0], -7 * i);
+        let minutes = 0;
+        for (let d = 0; d < 7; d++) {
+            minutes += dailyTotals[addDays(weekStart, d)]?.minutes || 0;
+        }
+        weeklyBars.push({
+            label: formatDate(weekStart),
+            sublabel: i === 0 ? 'This week' : '',
+            value: minutes,
+            valueLabel: formatMinutes(minutes)
+        });
+    }
+    document.getElementById('statsWeeklyChart').innerHTML = renderBarChart(weeklyBars);
+
+    updateSessionHistory();
+}
+
+/**
+ * Render the most recent focus sessions, newest first
+ */
+function updateSessionHistory() {
+    const container = document.getElementById('sessionHistory');
+    const recent = appData.sessions.slice(-20).reverse();
+
+    if (recent.length === 0) {
+        container.innerHTML = '<div class="empty-state">No focus sessions yet. Start the timer on the Dashboard!</div>';
+        return;
+    }
+
+    container.innerHTML = recent.map(session => {
+        const started = new Date(session.startedAt);
+        const ended = new Date(session.endedAt);
+        const minutes = Math.round(session.durationSeconds / 60);
+        const task = appData.tasks.find(t => t.id === session.taskId);
+
+        return `
+            <div class="session-item">
+                <span class="session-date">${formatDate(getDateString(started))}</span>
+                <span class="session-time">${formatClockTime(started)} – ${formatClockTime(ended)}</span>
+                <span class="session-task">${task ? escapeHtml(task.title) : ''}</span>
+                <span class="session-duration">${formatMinutes(minutes)}</span>
+                <span class="session-outcome ${session.outcome}">${session.outcome === 'completed' ? 'Completed' : 'Abandoned'}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================================
+// BACKUP FUNCTIONS
+// ============================================================
+
+const BACKUP_FORMAT = 'focusflow-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Download all app data as a versioned JSON backup file
+ */
+function exportBackup() {
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: appData
+    };
+
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `focusflow-backup-${getTodayDateString()}.json`);
+    const count = appData.tasks.length;
+    setBackupStatus(`Exported ${count} ${count === 1 ? 'task' : 'tasks'}.`);
+}
+
+/**
+ * Save a Blob to the user's device as a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Check a parsed backup against the expected shape.
+ * @param {*} backup - Parsed JSON from a backup file
+ * @returns {string[]} Problems found (empty if the backup is valid)
+ */
+function validateBackup(backup) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const isTimestamp = value => typeof value === 'string' && !isNaN(Date.parse(value));
+    // Ids end up in attributes and inline handlers, so only plain characters are allowed
+    const isId = value => typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value);
+    const isBlock = block => isObject(block) && isId(block.id) && typeof block.text === 'string' &&
+        Number.isFinite(block.start) && Number.isFinite(block.end) && block.start < block.end &&
+        (block.taskId === undefined || block.taskId === null || isId(block.taskId));
+
+    if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+        return ['This is not a FocusFlow backup file.'];
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+        return [`Backup version ${backup.version} is not supported by this version of FocusFlow.`];
+    }
+
+    const data = backup.data;
+    if (!isObject(data)) return ['The backup has no data section.'];
+    if (!Array.isArray(data.tasks)) return ['The backup has no task list.'];
+    if (data.schemaVersion > SCHEMA_VERSION) {
+        return ['This backup was made by a newer version of FocusFlow. Update the app and try again.'];
+    }
+
+    const errors = [];
+
+    // Timetable plans and templates have been lists of blocks since schema 3
+    const hasBlocks = (data.schemaVersion || 0) >= 3;
+
+    if (data.timetable !== undefined && !isObject(data.timetable)) {
+        errors.push('The timetable is not an object.');
+    } else if (data.timetable !== undefined && hasBlocks) {
+        Object.keys(data.timetable).forEach(dateString => {
+            const plan = data.timetable[dateString];
+            if (!isDate(dateString) || !Array.isArray(plan) || !plan.every(isBlock)) {
+                errors.push(`The timetable for ${dateString} is not a valid plan.`);
+            }
+        });
+    }
+    if (data.timetableTemplates !== undefined && !Array.isArray(data.timetableTemplates)) {
+        errors.push('The timetable templates are not a list.');
+    } else if (data.timetableTemplates !== undefined) {
+        data.timetableTemplates.forEach((template, index) => {
+            const valid = isObject(template) && isId(template.id) && typeof template.name === 'string' &&
+                Array.isArray(template.days) && template.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+                (!hasBlocks || (Array.isArray(template.blocks) && template.blocks.every(isBlock)));
+            if (!valid) errors.push(`Timetable template ${index + 1} is not valid.`);
+        });
+    }
+    if (data.subjects !== undefined && (!Array.isArray(data.subjects) ||
+        !data.subjects.every(subject => isObject(subject) && isId(subject.id) && typeof subject.name === 'string'))) {
+        errors.push('The subjects are not a valid list.');
+    }
+    if (data.settings !== undefined && !isObject(data.settings)) errors.push('The settings are not an object.');
+    if (data.sessions !== undefined && !Array.isArray(data.sessions)) {
+        errors.push('The session history is not a list.');
+    } else if (data.sessions !== undefined) {
+        data.sessions.forEach((session, index) => {
+            const valid = isObject(session) && isId(session.id) && isTimestamp(session.startedAt) && isTimestamp(session.endedAt) &&
+                Number.isFinite(session.durationSeconds) && session.durationSeconds >= 0 &&
+                ['completed', 'abandoned'].includes(session.outcome);
+            if (!valid) errors.push(`Focus session ${index + 1} is not valid.`);
+        });
+    }
+    if (data.trash !== undefined && !Array.isArray(data.trash)) {
+        errors.push('The Trash is not a list.');
+    } else if (data.trash !== undefined) {
+        data.trash.forEach((entry, index) => {
+            const valid = isObject(entry) && isTimestamp(entry.deletedAt) && isObject(entry.task) &&
+                isId(entry.task.id) && typeof entry.task.title === 'string';
+            if (!valid) errors.push(`Item ${index + 1} in the Trash is not valid.`);
+        });
+    }
+
+    const ids = new Set();
+    data.tasks.forEach((task, index) => {
+        const name = `Task ${index + 1}${isObject(task) && typeof task.title === 'string' ? ` ("${task.title}")` : ''}`;
+
+        if (!isObject(task)) {
+            errors.push(`${name} is not an object.`);
+            return;
+        }
+        if (typeof task.id !== 'string' || !task.id) errors.push(`${name} has no id.`);
+        else if (!isId(task.id)) errors.push(`${name} has an invalid id.`);
+        else if (ids.has(task.id)) errors.push(`${name} has a duplicate id "${task.id}".`);
+        ids.add(task.id);
+
+        if (typeof task.title !== 'string' || !task.title.trim()) errors.push(`${name} has no title.`);
+        if (!['high', 'medium', 'low'].includes(task.priority)) errors.push(`${name} has an invalid priority "${task.priority}".`);
+        if (task.dueDate !== null && task.dueDate !== undefined && !isDate(task.dueDate)) {
+            errors.push(`${name} has an invalid due date "${task.dueDate}".`);
+        }
+        if (typeof task.completed !== 'boolean') errors.push(`${name} has no completion status.`);
+        if (task.notes !== undefined && typeof task.notes !== 'string') errors.push(`${name} has invalid notes.`);
+        if (task.subjectId !== undefined && task.subjectId !== null && !isId(task.subjectId)) {
+            errors.push(`${name} has an invalid subject.`);
+        }
+        if (task.skippedDates !== undefined && (!Array.isArray(task.skippedDates) || !task.skippedDates.every(isDate))) {
+            errors.push(`${name} has invalid skipped dates.`);
+        }
+        if (task.tags !== undefined && (!Array.isArray(task.tags) || !task.tags.every(tag => typeof tag === 'string'))) {
+            errors.push(`${name} has invalid tags.`);
+        }
+        if (task.reminder !== undefined && task.reminder !== null && (!isObject(task.reminder) ||
+            !Number.isInteger(task.reminder.daysBefore) || task.reminder.daysBefore < 0 ||
+            typeof task.reminder.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(task.reminder.time))) {
+            errors.push(`${name} has an invalid reminder.`);
+        }
+        if (task.subtasks !== undefined && (!Array.isArray(task.subtasks) ||
+            !task.subtasks.every(st => isObject(st) && isId(st.id) && typeof st.title === 'string'))) {
+            errors.push(`${name} has an invalid checklist.`);
+        }
+        if (task.recurrence !== undefined && task.recurrence !== null &&
+            (!isObject(task.recurrence) || !['daily', 'weekdays', 'weekly', 'interval'].includes(task.recurrence.type))) {
+            errors.push(`${name} has an invalid repeat rule.`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Read a backup file and import it
+ * @param {File} file - The chosen .json file
+ * @param {string} mode - 'replace' to overwrite everything, 'merge' to merge tasks by id
+ */
+async function importBackup(file, mode) {
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (error) {
+        setBackupStatus(`Could not read "${file.name}": it is not valid JSON.`, true);
+        return;
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more problems)` : '';
+        setBackupStatus(`Import failed. ${errors.slice(0, 3).join(' ')}${more}`, true);
+        return;
+    }
+
+    if (mode === 'replace') {
+        if (!confirm('Replace all your tasks, timetable, settings and history with this backup?')) return;
+        if (!replaceWithBackup(backup.data)) {
+            setBackupStatus(`Import failed. "${file.name}" could not be restored, so your data was left as it was.`, true);
+            return;
+        }
+        const count = appData.tasks.length;
+        setBackupStatus(`Restored ${count} ${count === 1 ? 'task' : 'tasks'} from "${file.name}".`);
+    } else {
+        recordUndo('Import backup');
+        mergeBackupSubjects(backup.data.subjects || []);
+        const result = mergeBackupTasks(backup.data.tasks);
+        setBackupStatus(`Merged "${file.name}": ${result.added} new, ${result.updated} updated, ${result.unchanged} unchanged.`);
+    }
+}
+
+/**
+ * Replace all app data with a backup's data.
+ * The timer on this device keeps running as it was. If the backup can't be
+ * upgraded, stored or shown, the current data is left untouched.
+ * @param {Object} data - The backup's data section
+ * @returns {boolean} Whether the data was replaced
+ */
+function replaceWithBackup(data) {
+    const previous = appData;
+
+    try {
+        const replacement = migrateData(JSON.parse(JSON.stringify(data)));
+        replacement.timer = { ...previous.timer };
+        splitIntoRecords(replacement);
+
+        appData = replacement;
+        if (appData.timer.taskId && !appData.tasks.some(t => t.id === appData.timer.taskId)) {
+            appData.timer.taskId = null;
+        }
+        updateUI();
+    } catch (error) {
+        console.error('Failed to restore backup:', error);
+        appData = previous;
+        updateUI();
+        return false;
+    }
+
+    // Earlier undo steps refer to the data that was just replaced
+    pendingUndo = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+
+    saveData();
+    return true;
+}
+
+/**
+ * Add the backup's subjects that aren't here yet, so merged tasks keep theirs
+ * @param {Object[]} subjects - Subjects from the backup
+ */
+function mergeBackupSubjects(subjects) {
+    subjects.forEach(subject => {
+        if (!getSubject(subject.id)) appData.subjects.push({ ...subject });
+    });
+}
+
+/**
+ * Merge backup tasks into the current list by id.
+ * Tasks with a new id are added; for an id that already exists, the copy
+ * changed most recently wins. A task that is in the Trash here stays deleted
+ * unless the backup's copy was changed after it was deleted.
+ * @param {Object[]} tasks - Tasks from the backup
+ * @returns {{added: number, updated: number, unchanged: number}}
+ */
+function mergeBackupTasks(tasks) {
+    const result = { added: 0, updated: 0, unchanged: 0 };
+    const lastChanged = task => task.updatedAt || task.createdAt || '';
+
+    tasks.forEach(imported => {
+        const copy = JSON.parse(JSON.stringify(imported));
+        const index = appData.tasks.findIndex(t => t.id === copy.id);
+        const trashIndex = appData.trash.findIndex(entry => entry.task.id === copy.id);
+
+        if (trashIndex !== -1) {
+            if (lastChanged(copy) > appData.trash[trashIndex].deletedAt) {
+                appData.trash.splice(trashIndex, 1);
+                appData.tasks.push(copy);
+                result.added++;
+            } else {
+                result.unchanged++;
+            }
+        } else if (index === -1) {
+            appData.tasks.push(copy);
+            result.added++;
+        } else if (lastChanged(copy) > lastChanged(appData.tasks[index])) {
+            appData.tasks[index] = copy;
+            result.updated++;
+        } else {
+            result.unchanged++;
+        }
+    });
+
+    saveData();
+    updateUI();
+    return result;
+}
+
+/**
+ * Show the result of an export or import below the backup controls
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function setBackupStatus(message, isError = false) {
+    const statusEl = document.getElementById('backupStatus');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+}
+
+// ============================================================
+// CALENDAR (ICALENDAR) FUNCTIONS
+// ============================================================
+
+const ICS_PRODID = '-//FocusFlow//FocusFlow Student Planner//EN';
+const ICS_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+// Repeating events that can't go into a template are only added this far ahead
+const CALENDAR_REPEAT_DAYS = 28;
+
+/**
+ * Download dated tasks and the timetable as one .ics file.
+ * Tasks become VTODOs or all-day VEVENTs. Timetable blocks become timed
+ * VEVENTs: days with their own plan as one-off events, and templates as
+ * weekly events on their weekdays, skipping days that have their own plan.
+ * @param {string} taskFormat - 'todo' or 'event'
+ */
+function exportCalendar(taskFormat) {
+    const stamp = formatICSDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    const tasks = appData.tasks.filter(task => task.dueDate);
+    tasks.forEach(task => {
+        lines.push(...createTaskICS(task, taskFormat, stamp));
+    });
+
+    let blockCount = 0;
+    Object.keys(appData.timetable).sort().forEach(dateString => {
+        getExportableBlocks(appData.timetable[dateString]).forEach(block => {
+            lines.push(...createTimetableBlockICS(block, dateString, stamp));
+            blockCount++;
+        });
+    });
+    appData.timetableTemplates.forEach(template => {
+        if (template.days.length === 0) return;
+        getExportableBlocks(template.blocks).forEach(block => {
+            lines.push(...createTemplateBlockICS(template, block, stamp));
+            blockCount++;
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+
+    const blob = new Blob([lines.map(foldICSLine).join('\r\n') + '\r\n'], { type: 'text/calendar' });
+    downloadBlob(blob, `focusflow-${getTodayDateString()}.ics`);
+    setCalendarStatus(`Exported ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} and ${blockCount} timetable ${blockCount === 1 ? 'block' : 'blocks'}.`);
+}
+
+/**
+ * Build the iCalendar lines for one task
+ * @param {Object} task - A task with a due date
+ * @param {string} taskFormat - 'todo' or 'event'
+ * @param {string} stamp - DTSTAMP value
+ */
+function createTaskICS(task, taskFormat, stamp) {
+    const component = taskFormat === 'event' ? 'VEVENT' : 'VTODO';
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task.id}@focusflow`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeICSText(task.title)}`
+    ];
+
+    if (component === 'VTODO') {
+        lines.push(`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+        lines.push(`DTEND;VALUE=DATE:${addDays(task.dueDate, 1).replace(/-/g, '')}`);
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority] || ICS_PRIORITIES.medium}`);
+    if (task.notes) lines.push(`DESCRIPTION:${escapeICSText(task.notes)}`);
+    if (task.recurrence) lines.push(`RRULE:${createRRule(task.recurrence, task.dueDate)}`);
+    if (task.recurrence && task.skippedDates?.length) {
+        lines.push(`EXDATE;VALUE=DATE:${task.skippedDates.map(date => date.replace(/-/g, '')).join(',')}`);
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+}
+
+/**
+ * Build the iCalendar lines for a block on a day with its own plan
+ * @param {{start: number, end: number, text: string}} block - Hours and text
+ * @param {string} dateString - The day (YYYY-MM-DD)
+ * @param {string} stamp - DTSTAMP value
+ */
+function createTimetableBlockICS(block, dateString, stamp) {
+    // Floating times, so calendar apps show them at the same hour in any zone
+    return [
+        'BEGIN:VEVENT',
+        `UID:timetable-${dateString}-${block.start}@focusflow`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatICSLocalTime(dateString, block.start)}`,
+        `DTEND:${formatICSLocalTime(dateString, block.end)}`,
+        `SUMMARY:${escapeICSText(block.text)}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build the iCalendar lines for a template block, repeating weekly on the
+ * template's days from today on
+ * @param {Object} template - Timetable template
+ * @param {{start: number, end: number, text: string}} block - Hours and text
+ * @param {string} stamp - DTSTAMP value
+ */
+function createTemplateBlockICS(template, block, stamp) {
+    let firstDate = getTodayDateString();
+    while (!template.days.includes(getDayOfWeek(firstDate))) {
+        firstDate = addDays(firstDate, 1);
+    }
+
+    // Days with their own plan don't use the template
+    const exceptions = Object.keys(appData.timetable)
+        .filter(dateString => dateString >= firstDate && template.days.includes(getDayOfWeek(dateString)))
+        .sort()
+        .map(dateString => `EXDATE:${formatICSLocalTime(dateString, block.start)}`);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:template-${template.id}-${block.start}@focusflow`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatICSLocalTime(firstDate, block.start)}`,
+        `DTEND:${formatICSLocalTime(firstDate, block.end)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${template.days.map(day => ICS_DAY_CODES[day]).join(',')}`,
+        ...exceptions,
+        `SUMMARY:${escapeICSText(block.text)}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Format a date and time as a floating iCalendar date-time (e.g., 20260315T093000).
+ * Midnight at the end of the day is written as 00:00 on the next day.
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} totalMinutes - Minutes after midnight
+ */
+function formatICSLocalTime(dateString, totalMinutes) {
+    const date = addDays(dateString, Math.floor(totalMinutes / MINUTES_PER_DAY));
+    const minutes = totalMinutes % MINUTES_PER_DAY;
+    const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+    return `${date.replace(/-/g, '')}T${hours}${(minutes % 60).toString().padStart(2, '0')}00`;
+}
+
+/**
+ * Get the blocks worth exporting from a plan (ones with text)
+ * @param {Object[]} blocks - Timetable blocks
+ */
+function getExportableBlocks(blocks) {
+    return blocks
+        .map(block => ({ ...block, text: getBlockTitle(block) }))
+        .filter(block => block.text.trim())
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Turn a task repeat rule into an RRULE value
+ * @param {Object} rule - Repeat rule (see matchesRecurrence)
+ * @param {string} startDate - First day of the series (YYYY-MM-DD)
+ */
+function createRRule(rule, startDate) {
+    let value;
+    switch (rule.type) {
+        case 'weekdays':
+            value = 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+            break;
+        case 'weekly': {
+            const days = rule.days?.length ? rule.days : [getDayOfWeek(startDate)];
+            value = `FREQ=WEEKLY;BYDAY=${days.map(day => ICS_DAY_CODES[day]).join(',')}`;
+            break;
+        }
+        case 'interval':
+            value = `FREQ=DAILY;INTERVAL=${rule.interval}`;
+            break;
+        default:
+            value = 'FREQ=DAILY';
+    }
+    return rule.endDate ? `${value};UNTIL=${rule.endDate.replace(/-/g, '')}` : value;
+}
+
+/**
+ * Format a time as a UTC iCalendar date-time (e.g., 20260315T143000Z)
+ */
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeICSText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeICSText()
+ */
+function unescapeICSText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line longer than 75 octets into folded lines.
+ * Lengths are counted in UTF-8 bytes and a character is never split; the
+ * space that starts each continuation line counts towards its 75.
+ */
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Parse iCalendar text into its VEVENT and VTODO components.
+ * Components nested inside them (such as VALARM) are skipped.
+ * @param {string} text - Contents of an .ics file
+ * @returns {Array<{type: string, props: Object}>} Properties keyed by name, each { value, params }
+ */
+function parseICS(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const components = [];
+    const stack = [];
+
+    lines.forEach(line => {
+        const property = parseICSLine(line);
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            const component = { type: property.value.toUpperCase(), props: {} };
+            stack.push(component);
+            if (stack.length >= 2 && ['VEVENT', 'VTODO'].includes(component.type) && stack[stack.length - 2].type === 'VCALENDAR') {
+                components.push(component);
+            }
+        } else if (property.name === 'END') {
+            stack.pop();
+        } else if (stack.length > 0) {
+            const props = stack[stack.length - 1].props;
+            // Keep the first value of repeated properties
+            if (!props[property.name]) {
+                props[property.name] = { value: property.value, params: property.params };
+            }
+        }
+    });
+
+    return components;
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * (e.g., DTSTART;TZID=Europe/Berlin:20260315T090000)
+ */
+function parseICSLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params: params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Read an iCalendar date or date-time property.
+ * UTC times and times with a TZID are converted to this device's local time;
+ * times without either ("floating") are taken as local already.
+ * @param {{value: string, params: Object}} prop - The property
+ * @returns {{date: string, minutes: number|null}|null} Local date, and minutes after midnight for timed values
+ */
+function parseICSDate(prop) {
+    const match = prop?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (hour === undefined || prop.params.VALUE === 'DATE') {
+        return { date: `${year}-${month}-${day}`, minutes: null };
+    }
+
+    const parts = [year, month - 1, day, hour, minute, second || 0].map(Number);
+    let date;
+    if (utc) {
+        date = new Date(Date.UTC(...parts));
+    } else if (prop.params.TZID) {
+        date = zonedTimeToDate(parts, prop.params.TZID);
+    } else {
+        date = new Date(...parts);
+    }
+
+    return { date: getDateString(date), minutes: date.getHours() * 60 + date.getMinutes() };
+}
+
+/**
+ * Convert a wall-clock time in a named time zone to a Date.
+ * Unknown zone names are treated as local time.
+ * @param {number[]} parts - Year, month (0-11), day, hour, minute, second
+ * @param {string} timeZone - IANA zone name (e.g., America/New_York)
+ */
+function zonedTimeToDate(parts, timeZone) {
+    const createFormatter = zone => new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+
+    let formatter;
+    try {
+        formatter = createFormatter(timeZone);
+    } catch (error) {
+        try {
+            // Some calendars prefix zone names with a path (e.g., /mozilla.org/20050126_1/Europe/Paris)
+            formatter = createFormatter(timeZone.split('/').slice(-2).join('/'));
+        } catch (innerError) {
+            return new Date(...parts);
+        }
+    }
+
+    // Offset between the zone's wall clock and UTC at a given instant
+    const offsetAt = (time) => {
+        const values = {};
+        formatter.formatToParts(new Date(time)).forEach(part => {
+            values[part.type] = parseInt(part.value, 10);
+        });
+        const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        return wallClock - Math.floor(time / 1000) * 1000;
+    };
 
-    // Generate blocks for 6 AM to 10 PM
-    for (let hour = 6; hour <= 22; hour++) {
-        const timeLabel = formatTimeLabel(hour);
-        const isCurrent = hour === currentHour;
-        const savedValue = appData.timetable[hour] || '';
-
-        html += `
-            <div class="time-block ${isCurrent ? 'current' : ''}">
-                <div class="time-label">${timeLabel}</div>
-                <input type="text" class="time-input" 
-                       placeholder="What's planned for this hour?"
-                       value="${escapeHtml(savedValue)}"
-                       data-hour="${hour}"
-                       onchange="saveTimetableEntry(${hour}, this.value)"
-                       oninput="saveTimetableEntry(${hour}, this.value)">
-            </div>
-        `;
+    const asUTC = Date.UTC(...parts);
+    const firstGuess = asUTC - offsetAt(asUTC);
+    // Check again in case the guess crossed a daylight-saving change
+    return new Date(asUTC - offsetAt(firstGuess));
+}
+
+/**
+ * Read an iCalendar duration (e.g., PT1H30M) in minutes
+ */
+function parseICSDuration(value) {
+    const match = value?.match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, weeks, days, hours, minutes] = match.map(part => parseInt(part, 10) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * Turn a simple RRULE into a task repeat rule.
+ * Daily and weekly rules with INTERVAL, BYDAY, UNTIL and COUNT are supported.
+ * @param {string} value - RRULE value (e.g., FREQ=WEEKLY;BYDAY=MO,WE)
+ * @param {string} startDate - First day of the series (YYYY-MM-DD)
+ * @returns {Object|null} Repeat rule, or null if the rule is not supported
+ */
+function parseRRule(value, startDate) {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, partValue] = part.split('=');
+        parts[key.toUpperCase()] = (partValue || '').toUpperCase();
+    });
+
+    const interval = parseInt(parts.INTERVAL, 10) || 1;
+    const days = parts.BYDAY
+        ? parts.BYDAY.split(',').map(code => ICS_DAY_CODES.indexOf(code)).filter(day => day !== -1)
+        : [];
+    // Days with a position (e.g., 1MO for "first Monday") aren't supported
+    if (parts.BYDAY && days.length !== parts.BYDAY.split(',').length) return null;
+
+    let rule;
+    if (parts.FREQ === 'DAILY' && !parts.BYDAY) {
+        rule = interval === 1 ? { type: 'daily' } : { type: 'interval', interval: Math.min(365, interval) };
+    } else if (parts.FREQ === 'WEEKLY' && interval === 1) {
+        const isWeekdays = days.length === 5 && [1, 2, 3, 4, 5].every(day => days.includes(day));
+        rule = isWeekdays ? { type: 'weekdays' } : { type: 'weekly', days: days.length ? days : [getDayOfWeek(startDate)] };
+    } else if (parts.FREQ === 'WEEKLY' && (days.length === 0 || (days.length === 1 && days[0] === getDayOfWeek(startDate)))) {
+        rule = { type: 'interval', interval: Math.min(365, interval * 7) };
+    } else {
+        return null;
     }
 
-    container.innerHTML = html;
+    rule.endDate = null;
+    if (parts.UNTIL) {
+        rule.endDate = parseICSDate({ value: parts.UNTIL, params: {} })?.date || null;
+    } else if (parts.COUNT) {
+        rule.endDate = findNthOccurrence({ dueDate: startDate, recurrence: rule }, parseInt(parts.COUNT, 10));
+    }
+
+    return rule;
+}
+
+/**
+ * Find the date of a series' nth occurrence (used for RRULE COUNT)
+ * @param {Object} task - Task-like object with dueDate and recurrence
+ * @param {number} count - Number of occurrences
+ * @returns {string|null} Date of the last occurrence
+ */
+function findNthOccurrence(task, count) {
+    let found = 0;
+    let dateString = task.dueDate;
+
+    // Ten years is plenty for a class schedule
+    for (let i = 0; i < 3660; i++) {
+        if (matchesRecurrence(task, dateString) && ++found >= count) return dateString;
+        dateString = addDays(dateString, 1);
+    }
+    return null;
+}
+
+/**
+ * Read an .ics file and add its entries as tasks and timetable blocks.
+ * To-dos and all-day events become tasks. Timed events fill the timetable
+ * on each day they happen; ones outside the timetable's hours become
+ * tasks with the time in their notes. Entries already imported are skipped.
+ * @param {File} file - The chosen .ics file
+ */
+async function importCalendar(file) {
+    let components;
+    try {
+        components = parseICS(await file.text());
+    } catch (error) {
+        setCalendarStatus(`Could not read "${file.name}".`, true);
+        return;
+    }
+
+    if (components.length === 0) {
+        setCalendarStatus(`No events or to-dos found in "${file.name}".`, true);
+        return;
+    }
+
+    const result = { tasks: 0, blocks: 0, skipped: 0, simplified: 0, shortened: 0 };
+    recordUndo('Import calendar');
+
+    components.forEach(component => {
+        const entry = readCalendarEntry(component);
+        if (!entry) {
+            result.skipped++;
+            return;
+        }
+
+        const added = entry.block ? addCalendarEntryToTimetable(entry) : addCalendarEntryAsTask(entry);
+        if (!added) {
+            result.skipped++;
+            return;
+        }
+
+        result[entry.block ? 'blocks' : 'tasks']++;
+        if (entry.simplified) result.simplified++;
+        if (entry.shortened) result.shortened++;
+    });
+
+    saveData();
+    updateUI();
+
+    const notes = [];
+    if (result.skipped) notes.push(`${result.skipped} skipped`);
+    if (result.simplified) notes.push(`${result.simplified} with repeat rules FocusFlow can't follow imported once`);
+    if (result.shortened) notes.push(`${result.shortened} repeating ${result.shortened === 1 ? 'event' : 'events'} added for the next ${CALENDAR_REPEAT_DAYS / 7} weeks only`);
+    setCalendarStatus(`Imported ${result.tasks} ${result.tasks === 1 ? 'task' : 'tasks'} and ${result.blocks} timetable ${result.blocks === 1 ? 'block' : 'blocks'} from "${file.name}"${notes.length ? ` (${notes.join(', ')})` : ''}.`);
+}
+
+/**
+ * Work out what a parsed VEVENT or VTODO should become
+ * @param {{type: string, props: Object}} component - From parseICS()
+ * @returns {Object|null} Entry details, or null if it has no usable date or title
+ */
+function readCalendarEntry(component) {
+    const props = component.props;
+    const title = unescapeICSText(props.SUMMARY?.value || '').trim();
+    // A to-do's due date is what matters; its start date is only a fallback
+    const start = component.type === 'VTODO'
+        ? parseICSDate(props.DUE) || parseICSDate(props.DTSTART)
+        : parseICSDate(props.DTSTART);
+    if (!title || (!start && component.type === 'VEVENT')) return null;
+    if (props.STATUS?.value.toUpperCase() === 'CANCELLED') return null;
+
+    const entry = {
+        uid: props.UID?.value || null,
+        title: title,
+        date: start?.date || null,
+        notes: unescapeICSText(props.DESCRIPTION?.value || '').trim(),
+        completed: props.STATUS?.value.toUpperCase() === 'COMPLETED',
+        priority: 'medium',
+        recurrence: null,
+        simplified: false
+    };
+
+    // iCalendar priority: 1-4 high, 5 medium, 6-9 low (0 = undefined)
+    const priority = parseInt(props.PRIORITY?.value, 10);
+    if (priority >= 1 && priority <= 4) entry.priority = 'high';
+    if (priority >= 6 && priority <= 9) entry.priority = 'low';
+
+    if (props.RRULE && entry.date) {
+        entry.recurrence = parseRRule(props.RRULE.value, entry.date);
+        entry.simplified = !entry.recurrence;
+    }
+
+    if (component.type !== 'VEVENT' || start.minutes === null) return entry;
+
+    // Timed event: work out its length from DTEND or DURATION (default one hour)
+    const end = parseICSDate(props.DTEND);
+    let minutes = parseICSDuration(props.DURATION?.value);
+    if (end && end.minutes !== null) {
+        minutes = getDaysBetween(start.date, end.date) * 24 * 60 + end.minutes - start.minutes;
+    }
+    if (!minutes || minutes < 0) minutes = 60;
+
+    const location = unescapeICSText(props.LOCATION?.value || '').trim();
+    const timeRange = `${formatTimeLabel(start.minutes)}–${formatTimeLabel(start.minutes + minutes)}`;
+    entry.notes = [location ? `${timeRange} · ${location}` : timeRange, entry.notes].filter(Boolean).join('\n');
+
+    // Events that fall outside the timetable's hours stay tasks
+    const { dayStart, dayEnd } = getTimetableRange();
+    const blockEnd = Math.min(start.minutes + minutes, MINUTES_PER_DAY);
+    if (blockEnd > dayStart && start.minutes < dayEnd) {
+        entry.block = { start: start.minutes, end: blockEnd };
+    }
+
+    return entry;
+}
+
+/**
+ * Weekdays a repeat rule always falls on
+ * @param {Object} rule - The recurrence rule
+ * @param {string} startDate - First date of the series
+ * @returns {number[]|null} Days of the week, or null when the rule doesn't follow the week (e.g., every 10 days)
+ */
+function getRecurrenceWeekdays(rule, startDate) {
+    switch (rule.type) {
+        case 'daily':
+            return [0, 1, 2, 3, 4, 5, 6];
+        case 'weekdays':
+            return [1, 2, 3, 4, 5];
+        case 'weekly':
+            return rule.days?.length ? rule.days : [getDayOfWeek(startDate)];
+        case 'interval':
+            return rule.interval === 7 ? [getDayOfWeek(startDate)] : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Add an imported event to the timetable. An event that repeats on set
+ * weekdays with no end goes into those weekdays' templates, so it keeps
+ * following later template changes. Other repeating events are added to each
+ * day they happen in the next four weeks. Days where the time is already
+ * taken are left alone.
+ * @returns {boolean} Whether a block was added
+ */
+function addCalendarEntryToTimetable(entry) {
+    const today = getTodayDateString();
+    const rule = entry.recurrence;
+    const weekdays = rule && !rule.endDate ? getRecurrenceWeekdays(rule, entry.date) : null;
+
+    // A series that starts much later would show up on the templates too early
+    if (weekdays && entry.date <= addDays(today, 7)) {
+        return addCalendarEntryToTemplates(entry, weekdays);
+    }
+
+    let dates = [entry.date];
+    if (rule) {
+        const series = { dueDate: entry.date, recurrence: rule };
+        const first = entry.date > today ? entry.date : today;
+        const last = addDays(first, CALENDAR_REPEAT_DAYS - 1);
+
+        dates = [];
+        for (let dateString = first; dateString <= last; dateString = addDays(dateString, 1)) {
+            if (matchesRecurrence(series, dateString)) dates.push(dateString);
+        }
+        entry.shortened = !rule.endDate || rule.endDate > last;
+    }
+
+    const { start, end } = entry.block;
+    let added = false;
+    dates.forEach(dateString => {
+        const taken = getTimetableForDate(dateString).some(block => block.start < end && block.end > start);
+        if (taken) return;
+
+        getOwnDayPlan(dateString).push({ id: generateId(), start: start, end: end, text: entry.title });
+        added = true;
+    });
+    return added;
+}
+
+/**
+ * Add an imported event to the templates of the weekdays it repeats on.
+ * A template that also covers other weekdays is split so those days stay as
+ * they were, and weekdays without a template share a new "Imported" one.
+ * @param {Object} entry - From readCalendarEntry(), with a block
+ * @param {number[]} weekdays - Days of the week (0 = Sunday)
+ * @returns {boolean} Whether a block was added
+ */
+function addCalendarEntryToTemplates(entry, weekdays) {
+    const { start, end } = entry.block;
+    const uncovered = weekdays.filter(day => !appData.timetableTemplates.some(t => t.days.includes(day)));
+    if (uncovered.length > 0) {
+        appData.timetableTemplates.push({ id: generateId(), name: 'Imported', days: uncovered, blocks: [] });
+    }
+
+    let added = false;
+    appData.timetableTemplates.slice().forEach(template => {
+        const days = template.days.filter(day => weekdays.includes(day));
+        if (days.length === 0 || template.blocks.some(block => block.start < end && block.end > start)) return;
+
+        let target = template;
+        if (days.length < template.days.length) {
+            target = {
+                id: generateId(),
+                name: `${template.name} (${days.map(day => getWeekdayName(day, 'short')).join(', ')})`,
+                days: days,
+                blocks: copyTimetableBlocks(template.blocks)
+            };
+            template.days = template.days.filter(day => !days.includes(day));
+            appData.timetableTemplates.push(target);
+        }
+
+        target.blocks.push({ id: generateId(), start: start, end: end, text: entry.title });
+        added = true;
+    });
+    return added;
+}
+
+/**
+ * Add an imported entry as a task, unless it was imported before.
+ * Entries exported by FocusFlow are matched to their original task.
+ * @returns {boolean} Whether a task was added
+ */
+function addCalendarEntryAsTask(entry) {
+    if (entry.uid) {
+        const ownId = entry.uid.endsWith('@focusflow') ? entry.uid.slice(0, -'@focusflow'.length) : null;
+        if (appData.tasks.some(t => t.icsUid === entry.uid || t.id === ownId)) return false;
+    }
+
+    const task = {
+        id: generateId(),
+        title: entry.title,
+        priority: entry.priority,
+        dueDate: entry.date,
+        estimatedPomodoros: null,
+        completedPomodoros: 0,
+        completed: entry.completed && !entry.recurrence,
+        createdAt: new Date().toISOString()
+    };
+
+    if (entry.notes) task.notes = entry.notes;
+    if (entry.uid) task.icsUid = entry.uid;
+    if (entry.recurrence) {
+        task.recurrence = entry.recurrence;
+        task.completedDates = [];
+    }
+
+    appData.tasks.push(task);
+    return true;
+}
+
+/**
+ * Show the result of a calendar export or import below its controls
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Whether to style it as an error
+ */
+function setCalendarStatus(message, isError = false) {
+    const statusEl = document.getElementById('calendarStatus');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('error', isError);
+}
+
+// ============================================================
+// THEME & SETTINGS FUNCTIONS
+// ============================================================
+
+/**
+ * Apply the current theme (light/dark)
+ */
+function applyTheme() {
+    if (appData.settings?.darkMode) {
+        document.documentElement.setAttribute('data-theme', 'dark');
+    } else {
+        document.documentElement.removeAttribute('data-theme');
+    }
+}
+
+/**
+ * Toggle dark mode
+ */
+function toggleDarkMode() {
+    appData.settings.darkMode = !appData.settings.darkMode;
+    saveData();
+    applyTheme();
+    updateSettingsUI();
+}
+
+/**
+ * Update settings UI to reflect current values
+ */
+function updateSettingsUI() {
+    const darkModeToggle = document.getElementById('darkModeToggle');
+    const userNameInput = document.getElementById('userName');
+
+    darkModeToggle.checked = appData.settings?.darkMode || false;
+    userNameInput.value = appData.settings?.userName || 'Student';
+
+    // Pomodoro cycle settings
+    Object.keys(TIMER_SETTING_LIMITS).forEach(key => {
+        document.getElementById(key).value = appData.settings?.[key] ?? DEFAULT_DATA.settings[key];
+    });
+    document.getElementById('autoStartNextPhase').checked = appData.settings?.autoStartNextPhase || false;
+
+    // Task settings
+    document.getElementById('autoCompleteWithSubtasks').checked = appData.settings?.autoCompleteWithSubtasks || false;
+    document.getElementById('progressCountsSubtasks').checked = appData.settings?.progressCountsSubtasks || false;
+    document.getElementById('progressCountsCarriedOver').checked = appData.settings?.progressCountsCarriedOver || false;
+    document.getElementById('dashboardShowsInbox').checked = appData.settings?.dashboardShowsInbox || false;
+
+    // Timetable settings
+    const hourOptions = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i)
+        .map(hour => `<option value="${hour}">${hour === 24 ? 'Midnight' : formatTimeLabel(hour * 60)}</option>`)
+        .join('');
+    const startSelect = document.getElementById('timetableStartHour');
+    const endSelect = document.getElementById('timetableEndHour');
+    startSelect.innerHTML = hourOptions(0, 23);
+    endSelect.innerHTML = hourOptions(1, 24);
+    startSelect.value = appData.settings.timetableStartHour;
+    endSelect.value = appData.settings.timetableEndHour;
+    document.getElementById('slotMinutes').value = appData.settings.slotMinutes;
+
+    updateSubjectList();
+
+    // Date & time settings
+    document.getElementById('weekStartsOn').value = String(getWeekStartDay());
+    document.getElementById('displayLocale').value = appData.settings?.locale || '';
+    document.getElementById('use24Hour').checked = appData.settings?.use24Hour || false;
+    updateRepeatDayPicker();
+
+    updateNotificationSettings();
+}
+
+/**
+ * Save user name
+ */
+function saveUserName(name) {
+    appData.settings.userName = name.trim() || 'Student';
+    saveData();
+    updateGreeting();
+}
+
+/**
+ * Allowed range for each numeric Pomodoro setting
+ */
+const TIMER_SETTING_LIMITS = {
+    focusMinutes: { min: 1, max: 180 },
+    shortBreakMinutes: { min: 1, max: 60 },
+    longBreakMinutes: { min: 1, max: 120 },
+    longBreakInterval: { min: 1, max: 12 }
+};
+
+/**
+ * Save a numeric Pomodoro setting, clamped to its allowed range.
+ * An idle timer that hasn't been started yet picks up the new length.
+ * @param {string} key - Settings key (e.g. focusMinutes)
+ * @param {string} value - Raw input value
+ */
+function saveTimerSetting(key, value) {
+    const limits = TIMER_SETTING_LIMITS[key];
+    const parsed = parseInt(value, 10);
+    const phase = appData.timer.phase;
+    const wasUntouched = !appData.timer.isRunning && appData.timer.seconds === getPhaseDuration(phase);
+
+    appData.settings[key] = isNaN(parsed)
+        ? DEFAULT_DATA.settings[key]
+        : Math.min(limits.max, Math.max(limits.min, parsed));
+
+    if (wasUntouched) {
+        setTimerPhase(phase);
+    }
+
+    saveData();
+    updateTimerDisplay();
+    updateSettingsUI();
+}
+
+/**
+ * Toggle a boolean task setting and re-render, since it changes what lists show
+ * @param {string} key - Settings key (e.g. progressCountsSubtasks)
+ */
+function toggleTaskSetting(key) {
+    appData.settings[key] = !appData.settings[key];
+    saveData();
+    updateUI();
+}
+
+/**
+ * Save the timetable's start or end hour. The day always keeps at least
+ * one hour, so moving one edge past the other pushes the other along.
+ * @param {string} key - 'timetableStartHour' or 'timetableEndHour'
+ * @param {string} value - Raw select value
+ */
+function saveTimetableHours(key, value) {
+    const hour = parseInt(value, 10);
+    if (isNaN(hour)) return;
+
+    appData.settings[key] = hour;
+    if (appData.settings.timetableEndHour <= appData.settings.timetableStartHour) {
+        if (key === 'timetableStartHour') {
+            appData.settings.timetableEndHour = hour + 1;
+        } else {
+            appData.settings.timetableStartHour = hour - 1;
+        }
+    }
+
+    saveData();
+    updateUI();
+}
+
+/**
+ * Save the timetable slot size
+ * @param {string} value - Minutes per slot (15, 30 or 60)
+ */
+function saveSlotMinutes(value) {
+    const minutes = parseInt(value, 10);
+    if (!SLOT_SIZES.includes(minutes)) return;
+
+    appData.settings.slotMinutes = minutes;
+    saveData();
+    updateUI();
+}
+
+/**
+ * Save the day weeks start on, keeping the Weekly View on the week it shows
+ * @param {string} value - Raw select value ('0' = Sunday, '1' = Monday)
+ */
+function saveWeekStart(value) {
+    const day = parseInt(value, 10);
+    if (day !== 0 && day !== 1) return;
+
+    appData.settings.weekStartsOn = day;
+    if (weekViewStart) weekViewStart = getWeekStart(weekViewStart);
+    saveData();
+    updateUI();
+}
+
+/**
+ * Save the locale used to show dates and times ('' follows the browser)
+ * @param {string} value - Locale tag such as 'en-GB'
+ */
+function saveLocale(value) {
+    appData.settings.locale = value;
+    saveData();
+    updateUI();
+}
+
+/**
+ * Toggle between the 12-hour and 24-hour clock
+ */
+function toggleUse24Hour() {
+    appData.settings.use24Hour = !appData.settings.use24Hour;
+    saveData();
+    updateUI();
+}
+
+/**
+ * Toggle auto-starting the next Pomodoro phase
+ */
+function toggleAutoStartNextPhase() {
+    appData.settings.autoStartNextPhase = !appData.settings.autoStartNextPhase;
+    saveData();
+    updateSettingsUI();
+}
+
+// ============================================================
+// NAVIGATION FUNCTIONS
+// ============================================================
+
+/**
+ * Navigate to a page
+ * @param {string} pageName - The page to navigate to
+ */
+function navigateTo(pageName) {
+    // Update nav items
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.page === pageName);
+    });
+
+    // Update pages
+    document.querySelectorAll('.page').forEach(page => {
+        page.classList.remove('active');
+    });
+
+    const targetPage = document.getElementById(`page-${pageName}`);
+    if (targetPage) {
+        targetPage.classList.add('active');
+        refreshCurrentPage();
+    }
+
+    // Close mobile menu
+    closeMobileMenu();
 }
 
 /**
- * Format hour number to readable time label
+ * Toggle mobile menu
  */
-function formatTimeLabel(hour) {
-    if (hour === 12) return '12 PM';
-    if (hour < 12) return `${hour} AM`;
-    return `${hour - 12} PM`;
+function toggleMobileMenu() {
+    document.getElementById('sidebar').classList.toggle('open');
 }
 
 /**
- * Save a timetable entry
- * @param {number} hour - The hour (6-22)
- * @param {string} value - The activity text
+ * Close mobile menu
  */
-function saveTimetableEntry(hour, value) {
-    appData.timetable[hour] = value;
-    saveData();
+function closeMobileMenu() {
+    document.getElementById('sidebar').classList.remove('open');
 }
 
 // ============================================================
-// WEEKLY VIEW FUNCTIONS
+// KEYBOARD SHORTCUTS & COMMAND PALETTE
 // ============================================================
 
-const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+/**
+ * Pages reached with "g" followed by a key
+ */
+const GO_TO_PAGES = [
+    { key: 'd', page: 'dashboard', label: 'Dashboard' },
+    { key: 'p', page: 'timetable', label: 'Timetable' },
+    { key: 't', page: 'tasks', label: 'Tasks' },
+    { key: 'w', page: 'weekly', label: 'Weekly View' },
+    { key: 'm', page: 'month', label: 'Month' },
+    { key: 's', page: 'stats', label: 'Stats' },
+    { key: ',', page: 'settings', label: 'Settings' }
+];
 
 /**
- * Get dates for the current week (Monday to Sunday)
+ * Everything listed in the shortcut cheat sheet
  */
-function getWeekDates() {
-    const today = new Date();
-    const currentDay = today.getDay(); // 0 = Sunday
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['N'], description: 'New task' },
+    { keys: ['Space'], description: 'Start or pause the timer' },
+    { keys: ['/'], description: 'Search tasks' },
+    ...GO_TO_PAGES.map(({ key, label }) => ({ keys: ['G', key.toUpperCase()], description: `Go to ${label}` })),
+    { keys: ['Ctrl/⌘', 'K'], description: 'Command palette' },
+    { keys: ['Ctrl/⌘', 'Z'], description: 'Undo' },
+    { keys: ['Ctrl/⌘', 'Shift', 'Z'], description: 'Redo' },
+    { keys: ['Alt', '↑/↓'], description: 'Move a task or timetable block' },
+    { keys: ['?'], description: 'Show this list' },
+    { keys: ['Esc'], description: 'Close a dialog' }
+];
 
-    // Calculate Monday of current week
-    const monday = new Date(today);
-    const daysFromMonday = currentDay === 0 ? 6 : currentDay - 1;
-    monday.setDate(today.getDate() - daysFromMonday);
+const GO_KEY_TIMEOUT = 1500;
+const PALETTE_MAX_RESULTS = 12;
 
-    // Generate dates for the week
-    const weekDates = [];
-    for (let i = 0; i < 7; i++) {
-        const date = new Date(monday);
-        date.setDate(monday.getDate() + i);
-        weekDates.push(date.toISOString().split('T')[0]);
-    }
+let goKeyPending = false;
+let goKeyTimeout = null;
+let paletteResults = [];
+let paletteIndex = 0;
+let paletteReturnFocus = null;
 
-    return weekDates;
+/**
+ * Start the timer, or pause it if it is running
+ */
+function toggleTimer() {
+    if (appData.timer.isRunning) {
+        pauseTimer();
+    } else {
+        startTimer();
+    }
 }
 
 /**
- * Get tasks for a specific date
+ * Get the name of the page currently shown (e.g., "tasks")
  */
-function getTasksForDate(dateString) {
-    return appData.tasks.filter(task => task.dueDate === dateString);
+function getCurrentPage() {
+    return document.querySelector('.page.active')?.id.replace('page-', '') || 'dashboard';
 }
 
 /**
- * Render the weekly view with 7 day columns
+ * Focus the nearest field for adding a task: the quick add on the dashboard,
+ * an open day on the month grid, or the Tasks page form everywhere else
  */
-function updateWeeklyView() {
-    const container = document.getElementById('weeklyBoard');
-    const weekDates = getWeekDates();
-    const today = getTodayDateString();
-
-    let html = weekDates.map((dateString, index) => {
-        const dayTasks = getTasksForDate(dateString);
-        const isToday = dateString === today;
-
-        // Sort: active first, then completed
-        const sortedTasks = [...dayTasks].sort((a, b) => {
-            if (a.completed === b.completed) return 0;
-            return a.completed ? 1 : -1;
-        });
-
-        const tasksHtml = sortedTasks.map(task => `
-            <div class="day-task-item ${task.completed ? 'completed' : ''}" data-id="${task.id}">
-                <input type="checkbox" class="task-checkbox" 
-                       ${task.completed ? 'checked' : ''}
-                       onchange="toggleTask('${task.id}')">
-                <span>${escapeHtml(task.title)}</span>
-                <button class="day-task-delete" onclick="deleteTask('${task.id}')" aria-label="Delete">&times;</button>
-            </div>
-        `).join('');
-
-        return `
-            <div class="day-column ${isToday ? 'today' : ''}" data-date="${dateString}">
-                <div class="day-header">
-                    <span class="day-name">${DAY_NAMES[index]}</span>
-                    <span class="day-date">${formatDate(dateString)}</span>
-                </div>
-                <div class="day-tasks">${tasksHtml || '<div class="empty-state small">No tasks</div>'}</div>
-                <div class="add-day-task">
-                    <input type="text" class="input" placeholder="Add task..." 
-                           id="weeklyInput-${dateString}"
-                           onkeypress="handleWeeklyKeypress(event, '${dateString}')">
-                    <button class="btn btn-primary" onclick="addWeeklyTask('${dateString}')" aria-label="Add task">+</button>
-                </div>
-            </div>
-        `;
-    }).join('');
+function focusNewTaskInput() {
+    const page = getCurrentPage();
+    let input;
 
-    container.innerHTML = html;
+    if (page === 'dashboard') {
+        input = document.getElementById('quickAddInput');
+    } else if (page === 'month' && !document.getElementById('monthDayPanel').hidden) {
+        input = document.getElementById('monthDayInput');
+    } else {
+        navigateTo('tasks');
+        input = document.getElementById('taskTitle');
+    }
+    input.focus();
 }
 
 /**
- * Add a task from weekly view
+ * Open the Tasks page with the search field focused
  */
-function addWeeklyTask(dateString) {
-    const input = document.getElementById(`weeklyInput-${dateString}`);
-    const title = input.value.trim();
+function focusTaskSearch() {
+    navigateTo('tasks');
+    const input = document.getElementById('taskSearch');
+    input.focus();
+    input.select();
+}
 
-    if (!title) return;
+/**
+ * Show the keyboard shortcut cheat sheet
+ */
+function openShortcutHelp() {
+    document.getElementById('shortcutList').innerHTML = KEYBOARD_SHORTCUTS.map(shortcut => `
+        <dt>${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+        <dd>${escapeHtml(shortcut.description)}</dd>
+    `).join('');
 
-    addTask(title, 'medium', dateString);
-    input.value = '';
+    document.getElementById('shortcutHelp').hidden = false;
+    document.getElementById('shortcutHelpClose').focus();
 }
 
 /**
- * Handle Enter key in weekly view input
+ * Close the keyboard shortcut cheat sheet
  */
-function handleWeeklyKeypress(event, dateString) {
-    if (event.key === 'Enter') {
-        addWeeklyTask(dateString);
-    }
+function closeShortcutHelp() {
+    document.getElementById('shortcutHelp').hidden = true;
 }
 
-// ============================================================
-// POMODORO TIMER FUNCTIONS
-// ============================================================
-
 /**
- * Update the timer display
+ * Handle a global shortcut. Nothing fires while the user is typing in a field
+ * (including the timetable's time inputs) or while a dialog is open.
+ * @param {KeyboardEvent} e - The keydown event
  */
-function updateTimerDisplay() {
-    const seconds = appData.timer?.seconds ?? 25 * 60;
-    const minutes = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    const display = `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+function handleShortcutKey(e) {
+    if (e.defaultPrevented || isEditableTarget(e.target)) return;
+    if (document.querySelector('.modal-overlay:not([hidden])')) return;
 
-    document.getElementById('timerDisplay').textContent = display;
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        openCommandPalette();
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
 
-    // Update button states
-    const startBtn = document.getElementById('timerStart');
-    const pauseBtn = document.getElementById('timerPause');
+    // Second key of a "g" sequence
+    if (goKeyPending) {
+        goKeyPending = false;
+        clearTimeout(goKeyTimeout);
 
-    if (appData.timer?.isRunning) {
-        startBtn.disabled = true;
-        pauseBtn.disabled = false;
-    } else {
-        startBtn.disabled = false;
-        pauseBtn.disabled = true;
+        const target = GO_TO_PAGES.find(p => p.key === e.key.toLowerCase());
+        if (target) {
+            e.preventDefault();
+            navigateTo(target.page);
+        }
+        return;
+    }
+
+    switch (e.key) {
+        case 'g':
+        case 'G':
+            goKeyPending = true;
+            goKeyTimeout = setTimeout(() => { goKeyPending = false; }, GO_KEY_TIMEOUT);
+            break;
+        case 'n':
+        case 'N':
+            e.preventDefault();
+            focusNewTaskInput();
+            break;
+        case ' ':
+            // Space still presses whichever button has focus
+            if (e.target.closest?.('button, summary, [role="button"]')) return;
+            e.preventDefault();
+            toggleTimer();
+            break;
+        case '/':
+            e.preventDefault();
+            focusTaskSearch();
+            break;
+        case '?':
+            e.preventDefault();
+            openShortcutHelp();
+            break;
     }
 }
 
 /**
- * Start the Pomodoro timer
+ * Match a query against text, letting letters be skipped (e.g., "gtw" matches
+ * "Go to Weekly View"). Each word of the query is matched on its own, so words
+ * can come in any order. Runs of letters and word starts score higher.
+ * @param {string} query - What the user typed
+ * @param {string} text - Text to match against
+ * @returns {Object|null} { score, indices } or null when it doesn't match
  */
-function startTimer() {
-    if (appData.timer.isRunning) return;
-
-    appData.timer.isRunning = true;
-    saveData();
-    updateTimerDisplay();
+function fuzzyMatch(query, text) {
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
 
-    timerInterval = setInterval(() => {
-        if (appData.timer.seconds > 0) {
-            appData.timer.seconds--;
-            saveData();
-            updateTimerDisplay();
-        } else {
-            // Timer complete
-            pauseTimer();
-            showTimerComplete();
-            resetTimer();
-        }
-    }, 1000);
-}
+    for (const term of query.toLowerCase().split(/\s+/).filter(Boolean)) {
+        let last = -1;
+        for (const char of term.split('')) {
+            const index = haystack.indexOf(char, last + 1);
+            if (index === -1) return null;
 
-/**
- * Pause the Pomodoro timer
- */
-function pauseTimer() {
-    appData.timer.isRunning = false;
+            if (index === last + 1) score += 5;
+            if (index === 0 || /[\s\-_/.,:]/.test(haystack[index - 1])) score += 10;
+            score -= Math.min(index - last - 1, 5);
 
-    if (timerInterval) {
-        clearInterval(timerInterval);
-        timerInterval = null;
+            indices.push(index);
+            last = index;
+        }
     }
 
-    saveData();
-    updateTimerDisplay();
+    return { score: score, indices: indices };
 }
 
 /**
- * Reset the Pomodoro timer to 25 minutes
+ * Wrap the matched letters of a palette result in <mark>
+ * @param {string} text - Result text
+ * @param {number[]} indices - Positions matched by fuzzyMatch
  */
-function resetTimer() {
-    pauseTimer();
-    appData.timer.seconds = 25 * 60;
-    appData.timer.isRunning = false;
-    saveData();
-    updateTimerDisplay();
-}
+function highlightMatch(text, indices) {
+    const matched = new Set(indices);
+    let html = '';
+    let run = '';
+    let runMatched = false;
 
-/**
- * Show timer completion alert
- */
-function showTimerComplete() {
-    // Try to play a sound or vibrate
-    if ('vibrate' in navigator) {
-        navigator.vibrate([200, 100, 200]);
-    }
+    const flush = () => {
+        if (run) html += runMatched ? `<mark>${escapeHtml(run)}</mark>` : escapeHtml(run);
+        run = '';
+    };
+
+    text.split('').forEach((char, i) => {
+        if (matched.has(i) !== runMatched) {
+            flush();
+            runMatched = matched.has(i);
+        }
+        run += char;
+    });
+    flush();
 
-    // Show alert
-    alert('🎉 Session Complete!\n\nGreat work! Take a 5-minute break.');
+    return html;
 }
 
 /**
- * Resume timer if it was running before page refresh
+ * Actions offered by the command palette
+ * @returns {Object[]} { label, hint, run }
  */
-function resumeTimerIfNeeded() {
-    if (appData.timer?.isRunning) {
-        appData.timer.isRunning = false; // Reset flag
-        startTimer(); // Restart the interval
-    }
-}
+function getPaletteActions() {
+    const showTasks = (status) => () => {
+        navigateTo('tasks');
+        setFilter(status);
+    };
 
-// ============================================================
-// THEME & SETTINGS FUNCTIONS
-// ============================================================
+    const actions = [
+        ...GO_TO_PAGES.map(({ key, page, label }) => ({
+            label: `Go to ${label}`,
+            hint: `G ${key.toUpperCase()}`,
+            run: () => navigateTo(page)
+        })),
+        { label: 'New task', hint: 'N', run: focusNewTaskInput },
+        { label: appData.timer.isRunning ? 'Pause timer' : 'Start timer', hint: 'Space', run: toggleTimer },
+        { label: 'Reset timer', run: resetTimer },
+        { label: 'Search tasks', hint: '/', run: focusTaskSearch },
+        { label: 'Show all tasks', run: showTasks('all') },
+        { label: 'Show active tasks', run: showTasks('active') },
+        { label: 'Show completed tasks', run: showTasks('completed') },
+        { label: 'Show trash', run: showTasks('trash') },
+        { label: 'Undo', hint: 'Ctrl+Z', run: undo },
+        { label: 'Redo', hint: 'Ctrl+Shift+Z', run: redo },
+        { label: appData.settings.darkMode ? 'Turn off dark mode' : 'Turn on dark mode', run: toggleDarkMode },
+        { label: 'Export backup', run: exportBackup },
+        { label: 'Keyboard shortcuts', hint: '?', run: openShortcutHelp }
+    ];
 
-/**
- * Apply the current theme (light/dark)
- */
-function applyTheme() {
-    if (appData.settings?.darkMode) {
-        document.documentElement.setAttribute('data-theme', 'dark');
-    } else {
-        document.documentElement.removeAttribute('data-theme');
+    if (getOverdueTasks().length > 0) {
+        actions.push({ label: 'Move overdue tasks to today', run: rollOverOverdueTasks });
     }
+
+    return actions;
 }
 
 /**
- * Toggle dark mode
+ * Palette entries for tasks, which open the task in the editor
+ * @returns {Object[]} { label, hint, run }
  */
-function toggleDarkMode() {
-    appData.settings.darkMode = !appData.settings.darkMode;
-    saveData();
-    applyTheme();
-    updateSettingsUI();
+function getPaletteTasks() {
+    return appData.tasks.map(task => ({
+        label: task.title,
+        hint: task.recurrence
+            ? formatRecurrence(task.recurrence)
+            : task.completed ? 'Done' : formatDate(task.dueDate),
+        isTask: true,
+        run: () => {
+            navigateTo('tasks');
+            openTaskEditor(task.id);
+        }
+    }));
 }
 
 /**
- * Update settings UI to reflect current values
+ * Open the command palette
  */
-function updateSettingsUI() {
-    const darkModeToggle = document.getElementById('darkModeToggle');
-    const userNameInput = document.getElementById('userName');
+function openCommandPalette() {
+    paletteReturnFocus = document.activeElement;
 
-    darkModeToggle.checked = appData.settings?.darkMode || false;
-    userNameInput.value = appData.settings?.userName || 'Student';
+    const input = document.getElementById('paletteInput');
+    input.value = '';
+    paletteIndex = 0;
+    document.getElementById('commandPalette').hidden = false;
+    updateCommandPalette();
+    input.focus();
 }
 
 /**
- * Save user name
+ * Close the command palette and give focus back to where it was
  */
-function saveUserName(name) {
-    appData.settings.userName = name.trim() || 'Student';
-    saveData();
-    updateGreeting();
+function closeCommandPalette() {
+    document.getElementById('commandPalette').hidden = true;
+    paletteReturnFocus?.focus?.();
+    paletteReturnFocus = null;
 }
 
-// ============================================================
-// NAVIGATION FUNCTIONS
-// ============================================================
-
 /**
- * Navigate to a page
- * @param {string} pageName - The page to navigate to
+ * Filter and rank palette entries for the current query. Without a query only
+ * actions are listed; with one, tasks are searched too.
  */
-function navigateTo(pageName) {
-    // Update nav items
-    document.querySelectorAll('.nav-item').forEach(item => {
-        item.classList.toggle('active', item.dataset.page === pageName);
-    });
+function updateCommandPalette() {
+    const input = document.getElementById('paletteInput');
+    const list = document.getElementById('paletteResults');
+    const query = input.value.trim();
 
-    // Update pages
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
-    });
+    const candidates = query ? [...getPaletteActions(), ...getPaletteTasks()] : getPaletteActions();
+    paletteResults = candidates
+        .map(item => ({ ...item, match: fuzzyMatch(query, item.label) }))
+        .filter(item => item.match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, PALETTE_MAX_RESULTS);
+    paletteIndex = Math.min(paletteIndex, Math.max(paletteResults.length - 1, 0));
 
-    const targetPage = document.getElementById(`page-${pageName}`);
-    if (targetPage) {
-        targetPage.classList.add('active');
+    if (paletteResults.length === 0) {
+        list.innerHTML = '<li class="palette-empty">No matching commands or tasks</li>';
+        input.removeAttribute('aria-activedescendant');
+        return;
     }
 
-    // Close mobile menu
-    closeMobileMenu();
+    list.innerHTML = paletteResults.map((item, i) => `
+        <li class="palette-item ${i === paletteIndex ? 'selected' : ''}" id="palette-option-${i}"
+            role="option" aria-selected="${i === paletteIndex}" data-index="${i}">
+            <span class="palette-kind">${item.isTask ? 'Task' : 'Action'}</span>
+            <span class="palette-label">${highlightMatch(item.label, item.match.indices)}</span>
+            ${item.hint ? `<span class="palette-hint">${escapeHtml(item.hint)}</span>` : ''}
+        </li>
+    `).join('');
+    input.setAttribute('aria-activedescendant', `palette-option-${paletteIndex}`);
+    list.querySelector('.selected').scrollIntoView?.({ block: 'nearest' });
 }
 
 /**
- * Toggle mobile menu
+ * Move the palette selection up or down, wrapping at the ends
+ * @param {number} step - 1 for down, -1 for up
  */
-function toggleMobileMenu() {
-    document.getElementById('sidebar').classList.toggle('open');
+function movePaletteSelection(step) {
+    if (paletteResults.length === 0) return;
+    paletteIndex = (paletteIndex + step + paletteResults.length) % paletteResults.length;
+    updateCommandPalette();
 }
 
 /**
- * Close mobile menu
+ * Close the palette and run one of its results
+ * @param {number} index - Position in the result list
  */
-function closeMobileMenu() {
-    document.getElementById('sidebar').classList.remove('open');
+function runPaletteItem(index) {
+    const item = paletteResults[index];
+    if (!item) return;
+
+    closeCommandPalette();
+    item.run();
+}
+
+/**
+ * Wire up the global shortcuts, the cheat sheet and the command palette
+ */
+function initKeyboardShortcuts() {
+    document.addEventListener('keydown', handleShortcutKey);
+
+    const input = document.getElementById('paletteInput');
+    input.addEventListener('input', () => {
+        paletteIndex = 0;
+        updateCommandPalette();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            movePaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteItem(paletteIndex);
+        } else if (e.key === 'Escape') {
+            closeCommandPalette();
+        }
+    });
+    document.getElementById('paletteResults').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (item) runPaletteItem(parseInt(item.dataset.index, 10));
+    });
+    document.getElementById('commandPalette').addEventListener('click', (e) => {
+        if (e.target.id === 'commandPalette') closeCommandPalette();
+    });
+
+    document.getElementById('shortcutHelpClose').addEventListener('click', closeShortcutHelp);
+    document.getElementById('shortcutHelp').addEventListener('click', (e) => {
+        if (e.target.id === 'shortcutHelp') closeShortcutHelp();
+    });
+    document.getElementById('shortcutHelp').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeShortcutHelp();
+    });
 }
 
 // ============================================================
@@ -701,20 +6821,26 @@ function initEventListeners() {
     const quickAddBtn = document.getElementById('quickAddBtn');
     const quickAddInput = document.getElementById('quickAddInput');
 
+    document.getElementById('rollOverBtn').addEventListener('click', rollOverOverdueTasks);
+
+    const quickAddPreview = document.getElementById('quickAddPreview');
+
     quickAddBtn.addEventListener('click', () => {
-        const today = getTodayDateString();
-        addTask(quickAddInput.value, 'medium', today);
-        quickAddInput.value = '';
+        addQuickTask(quickAddInput, getTodayDateString());
+        quickAddPreview.innerHTML = '';
     });
 
     quickAddInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            const today = getTodayDateString();
-            addTask(quickAddInput.value, 'medium', today);
-            quickAddInput.value = '';
+            addQuickTask(quickAddInput, getTodayDateString());
+            quickAddPreview.innerHTML = '';
         }
     });
 
+    quickAddInput.addEventListener('input', () => {
+        updateQuickAddPreview(quickAddInput, quickAddPreview, getTodayDateString());
+    });
+
     // Tasks page - Add task
     const addTaskBtn = document.getElementById('addTaskBtn');
     const taskTitleInput = document.getElementById('taskTitle');
@@ -723,9 +6849,15 @@ function initEventListeners() {
         const title = taskTitleInput.value;
         const priority = document.getElementById('taskPriority').value;
         const dueDate = document.getElementById('taskDueDate').value;
+        const estimateInput = document.getElementById('taskEstimate');
+        const estimate = parseInt(estimateInput.value, 10);
 
-        addTask(title, priority, dueDate);
+        addTask(title, priority, dueDate, estimate > 0 ? Math.min(estimate, 20) : null, getRecurrenceFromForm(), {
+            subjectId: document.getElementById('taskSubject').value || null
+        });
         taskTitleInput.value = '';
+        estimateInput.value = '';
+        resetRecurrenceForm();
     });
 
     taskTitleInput.addEventListener('keypress', (e) => {
@@ -734,17 +6866,35 @@ function initEventListeners() {
         }
     });
 
+    document.getElementById('taskRepeat').addEventListener('change', updateRecurrenceOptions);
+
     // Filter buttons
-    document.querySelectorAll('.filter-btn').forEach(btn => {
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
         btn.addEventListener('click', () => {
             setFilter(btn.dataset.filter);
         });
     });
 
+    // Search, filters and sort
+    document.getElementById('taskSearch').addEventListener('input', (e) => setTaskView({ search: e.target.value }));
+    document.getElementById('filterPriority').addEventListener('change', (e) => setTaskView({ priority: e.target.value }));
+    document.getElementById('filterDue').addEventListener('change', (e) => setTaskView({ due: e.target.value }));
+    document.getElementById('taskSort').addEventListener('change', (e) => setTaskView({ sort: e.target.value }));
+    document.getElementById('clearTaskView').addEventListener('click', clearTaskView);
+
     // Timer controls
     document.getElementById('timerStart').addEventListener('click', startTimer);
     document.getElementById('timerPause').addEventListener('click', pauseTimer);
     document.getElementById('timerReset').addEventListener('click', resetTimer);
+    document.getElementById('focusTaskSelect').addEventListener('change', (e) => {
+        setFocusTask(e.target.value);
+    });
+
+    // Background tabs throttle intervals, so catch up as soon as the tab is visible
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) tickTimer();
+    });
+    window.addEventListener('pagehide', abandonPausedSession);
 
     // Settings
     document.getElementById('darkModeToggle').addEventListener('change', toggleDarkMode);
@@ -752,9 +6902,134 @@ function initEventListeners() {
         saveUserName(e.target.value);
     });
 
+    Object.keys(TIMER_SETTING_LIMITS).forEach(key => {
+        document.getElementById(key).addEventListener('change', (e) => {
+            saveTimerSetting(key, e.target.value);
+        });
+    });
+    document.getElementById('autoStartNextPhase').addEventListener('change', toggleAutoStartNextPhase);
+    ['autoCompleteWithSubtasks', 'progressCountsSubtasks', 'progressCountsCarriedOver', 'dashboardShowsInbox'].forEach(key => {
+        document.getElementById(key).addEventListener('change', () => toggleTaskSetting(key));
+    });
+    ['timetableStartHour', 'timetableEndHour'].forEach(key => {
+        document.getElementById(key).addEventListener('change', (e) => saveTimetableHours(key, e.target.value));
+    });
+    document.getElementById('slotMinutes').addEventListener('change', (e) => saveSlotMinutes(e.target.value));
+    document.getElementById('use24Hour').addEventListener('change', toggleUse24Hour);
+    document.getElementById('weekStartsOn').addEventListener('change', (e) => saveWeekStart(e.target.value));
+    document.getElementById('displayLocale').addEventListener('change', (e) => saveLocale(e.target.value));
+    document.getElementById('notificationsEnabled').addEventListener('change', toggleNotifications);
+    ['notifyTimer', 'notifyReminders', 'playChime'].forEach(key => {
+        document.getElementById(key).addEventListener('change', () => toggleNotificationSetting(key));
+    });
+    document.getElementById('testNotificationBtn').addEventListener('click', sendTestNotification);
+
+    // Subjects
+    document.getElementById('addSubjectBtn').addEventListener('click', addSubject);
+    document.getElementById('newSubjectName').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addSubject();
+    });
+    document.getElementById('subjectDeleteCancel').addEventListener('click', closeSubjectDelete);
+    document.getElementById('subjectDeleteConfirm').addEventListener('click', confirmSubjectDelete);
+    document.getElementById('subjectDeleteModal').addEventListener('click', (e) => {
+        if (e.target.id === 'subjectDeleteModal') closeSubjectDelete();
+    });
+    document.getElementById('subjectDeleteModal').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeSubjectDelete();
+    });
+
     // Set default date to today
     document.getElementById('taskDueDate').value = getTodayDateString();
 
+    // Storage warning
+    document.getElementById('storageRetryBtn').addEventListener('click', () => flushSave());
+    document.getElementById('storageDismissBtn').addEventListener('click', hideStorageWarning);
+
+    // Backup export/import
+    document.getElementById('exportBackupBtn').addEventListener('click', exportBackup);
+    document.getElementById('importBackupBtn').addEventListener('click', () => {
+        document.getElementById('importBackupFile').click();
+    });
+    document.getElementById('importBackupFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importBackup(file, document.getElementById('importMode').value);
+        }
+        e.target.value = '';
+    });
+
+    // Timetable date navigation and templates
+    document.getElementById('timetablePrev').addEventListener('click', () => shiftTimetableDate(-1));
+    document.getElementById('timetableNext').addEventListener('click', () => shiftTimetableDate(1));
+    document.getElementById('timetableToday').addEventListener('click', () => setTimetableDate(getTodayDateString()));
+    document.getElementById('timetableDate').addEventListener('change', (e) => setTimetableDate(e.target.value));
+    document.getElementById('applyTemplateBtn').addEventListener('click', () => {
+        applyTimetableTemplate(document.getElementById('timetableTemplateSelect').value);
+    });
+    document.getElementById('resetDayBtn').addEventListener('click', resetTimetableDay);
+    document.getElementById('copyDayBtn').addEventListener('click', () => {
+        copyTimetableDay(document.getElementById('copyDayTarget').value);
+    });
+    document.getElementById('saveTemplateBtn').addEventListener('click', saveDayAsTemplate);
+
+    // Weekly View navigation
+    document.getElementById('weekPrevBtn').addEventListener('click', () => shiftWeekView(-1));
+    document.getElementById('weekNextBtn').addEventListener('click', () => shiftWeekView(1));
+    document.getElementById('weekThisBtn').addEventListener('click', () => setWeekViewDate(getTodayDateString()));
+    document.getElementById('weekPicker').addEventListener('change', (e) => setWeekViewDate(e.target.value));
+
+    // Month page
+    document.getElementById('monthPrevBtn').addEventListener('click', () => shiftMonthView(-1));
+    document.getElementById('monthNextBtn').addEventListener('click', () => shiftMonthView(1));
+    document.getElementById('monthThisBtn').addEventListener('click', () => setMonthViewDate(getTodayDateString()));
+    document.getElementById('monthDayAddBtn').addEventListener('click', addMonthTask);
+    document.getElementById('monthDayInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addMonthTask();
+    });
+    document.getElementById('monthDayClose').addEventListener('click', () => selectMonthDay(monthSelectedDate));
+
+    // Calendar export/import
+    document.getElementById('exportCalendarBtn').addEventListener('click', () => {
+        exportCalendar(document.getElementById('calendarTaskFormat').value);
+    });
+    document.getElementById('importCalendarBtn').addEventListener('click', () => {
+        document.getElementById('importCalendarFile').click();
+    });
+    document.getElementById('importCalendarFile').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            importCalendar(file);
+        }
+        e.target.value = '';
+    });
+
+    // Task edit dialog
+    document.getElementById('editTaskSave').addEventListener('click', saveTaskEditor);
+    document.getElementById('editTaskReminder').addEventListener('change', updateEditorReminderTime);
+    document.getElementById('editTaskCancel').addEventListener('click', closeTaskEditor);
+    document.getElementById('taskEditModal').addEventListener('click', (e) => {
+        if (e.target.id === 'taskEditModal') closeTaskEditor();
+    });
+    document.getElementById('taskEditModal').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeTaskEditor();
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') saveTaskEditor();
+    });
+
+    // Undo/redo (left to the browser while typing in a field)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (isEditableTarget(e.target)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+
     // Close mobile menu when clicking outside
     document.addEventListener('click', (e) => {
         const sidebar = document.getElementById('sidebar');
@@ -775,13 +7050,37 @@ function initEventListeners() {
 /**
  * Initialize the application
  */
-function init() {
-    loadData();
+async function init() {
+    await loadData();
+    loadTaskView();
+    timetableDate = getTodayDateString();
+    purgeExpiredTrash();
     applyTheme(); // Apply theme immediately to prevent flash
     updateUI();
     initEventListeners();
+    initDragAndDrop();
+    initKeyboardShortcuts();
+    initTabSync();
+    abandonPausedSession();
     resumeTimerIfNeeded();
+    updateStorageInfo();
+    initNotifications();
+
+    // Keep the timetable's "now" line moving and catch blocks as they end
+    checkFinishedBlocks();
+    setInterval(() => {
+        updateNowLine();
+        checkFinishedBlocks();
+        checkTaskReminders();
+    }, 60 * 1000);
 }
 
 // Start app when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', init);
+}
+
+// Let Node load the page-free helpers, e.g. to test the quick-add parser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseQuickAdd };
+}
@@ -1,5 +1,5 @@
 // FocusFlow Service Worker - Enables offline caching
-const CACHE_NAME = 'focusflow-v2';
+const CACHE_NAME = 'focusflow-v3';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -71,3 +71,21 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Notification click - bring FocusFlow to the front on the page the notification is about
+self.addEventListener('notificationclick', (event) => {
+  const page = (event.notification.data && event.notification.data.page) || 'dashboard';
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windowClients) => {
+        const client = windowClients.find((c) => c.focused) || windowClients[0];
+        if (client) {
+          client.postMessage({ type: 'navigate', page: page });
+          return client.focus();
+        }
+        return self.clients.openWindow(`./#${page}`);
+      })
+  );
+});
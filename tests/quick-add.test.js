@@ -0,0 +1,46 @@
+/**
+ * Checks for the quick-add parser. Run with `node --test tests/` (Node 18+).
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseQuickAdd } = require('../app.js');
+
+// A Monday, so weekday names resolve to fixed dates
+const options = { today: '2026-10-19' };
+
+const parse = text => parseQuickAdd(text, options);
+
+test('takes a date phrase at the end of the text', () => {
+    assert.deepStrictEqual(parse('Essay draft fri'), { title: 'Essay draft', dueDate: '2026-10-23', priority: null, tags: [] });
+    assert.strictEqual(parse('Read ch. 4 in 3 days').dueDate, '2026-10-22');
+    assert.strictEqual(parse('Pay rent by oct 30').dueDate, '2026-10-30');
+});
+
+test('leaves date words in the middle of a title alone', () => {
+    assert.deepStrictEqual(parse('Watch Today show recap'), { title: 'Watch Today show recap', dueDate: null, priority: null, tags: [] });
+    assert.deepStrictEqual(parse('Buy sat nav'), { title: 'Buy sat nav', dueDate: null, priority: null, tags: [] });
+});
+
+test('reads priority markers and tags', () => {
+    assert.deepStrictEqual(parse('Lab report !high #chem #Lab tomorrow'), {
+        title: 'Lab report',
+        dueDate: '2026-10-20',
+        priority: 'high',
+        tags: ['chem', 'lab']
+    });
+    assert.strictEqual(parse('Call home !!!').priority, 'high');
+    assert.strictEqual(parse('Call home !!').priority, 'medium');
+    assert.strictEqual(parse('Wow!').title, 'Wow!');
+});
+
+test('tidies punctuation left where a date was taken out', () => {
+    assert.strictEqual(parse('Review tomorrow.').title, 'Review');
+    assert.strictEqual(parse('Call mom - tomorrow').title, 'Call mom');
+    assert.strictEqual(parse('Essay, due fri, for english').title, 'Essay, for english');
+    assert.strictEqual(parse('Finish essay due tomorrow, then rest').title, 'Finish essay, then rest');
+    assert.strictEqual(parse('Really? tomorrow').title, 'Really?');
+});
+
+test('keeps text that is only a date as the title', () => {
+    assert.deepStrictEqual(parse('Friday'), { title: 'Friday', dueDate: null, priority: null, tags: [] });
+});